@@ -1,4 +1,4 @@
-import { JoltBundler } from "./src/core/Bundler.js";
+import { JoltBundler } from "./src/core/JoltBundler.js";
 
 // Определяем режим разработки
 const isDev = process.env.NODE_ENV !== 'production';
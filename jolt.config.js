@@ -8,7 +8,9 @@ export const JoltConfiguration = {
 
     // Формат и целевая платформа
     format: 'iife',        // 'iife' (для браузера) | 'esm' (для современных браузеров)
+    // formats: ['esm', 'cjs', { format: 'umd', globalName: 'MyLib' }], // Несколько форматов за одну сборку
     platform: 'browser',   // 'browser' | 'node'
+    // alias: { '@': './src' }, // Псевдонимы путей; paths и baseUrl из tsconfig.json подхватываются сами
 
     // Настройки трансформации кода
     swcOptions: {
@@ -32,6 +34,7 @@ export const JoltConfiguration = {
         },
         sourceMaps: true                  // Генерация sourcemaps
     },
+    // Хуки модулей: resolveId, load, transform - функция или { filter: { id, code }, handler }; enforce: 'pre' | 'post'
     plugins: [
         cssPlug(),
         htmlPlug({ minify: false }),
@@ -45,8 +48,22 @@ export const JoltConfiguration = {
 
     // Опциональные настройки (раскомментируйте при необходимости)
     // cache: true,                      // Кеширование для ускорения сборки
-    // sourcemaps: 'external',           // 'inline' | 'external'
+    // cacheDir: 'node_modules/.cache/jolt', // Постоянный кеш модулей между запусками (false - отключить)
+    // threads: 4,                       // Потоки worker_threads для трансформации SWC (по умолчанию по числу ядер, 0 - без потоков)
+    // sourcemaps: 'external',           // 'inline' | 'external' | 'hidden'
     // watch: true,                     // Режим наблюдения за изменениями
-    // external: ['react', 'lodash']     // Внешние зависимости
+    // external: ['react', 'lodash'],    // Внешние зависимости
+    // loader: { '.svg': 'file', '.md': 'text' }, // Загрузчики: json, text, base64, dataurl, binary, file
+    // define: { APP_VERSION: JSON.stringify('1.0.0') }, // Замены выражений при сборке
+    // envPrefix: 'JOLT_',               // Переменные .env с этим префиксом доступны через import.meta.env
+    // manifest: true,                 // manifest.json: entry-точки и ассеты -> хешированные файлы, чанки, CSS, integrity
+    // publicPath: './',                 // Префикс URL ассетов из import logo from './logo.png' (?url, ?raw, ?inline)
+    // treeShaking: true,                // Удаление неиспользуемого кода (по умолчанию в production)
+    // scopeHoisting: true,              // Один scope для ESM-модулей IIFE (по умолчанию в production)
+    // splitting: { minSize: 0, minEntries: 2, vendor: true }, // Общие чанки IIFE-бандлов entry-точек; false отключает
+    // circular: {                       // Циклические зависимости
+    //     mode: 'warn',                 // 'warn' | 'error' | 'ignore'
+    //     allow: ['node_modules/**', 'src/a.js -> src/b.js -> src/a.js']
+    // }
 };
 
@@ -8,13 +8,20 @@ import { ApiLogger, LogLevel } from '../api/ApiLogger.js';
 const logger = new ApiLogger("JOLT", LogLevel.DEBUG);
 
 export class Bundler {
-    static async run() {
+    /**
+     * Собирает JS по JoltConfiguration
+     * @param {Build} [builder] - Долгоживущий экземпляр из createBuilder: пересборка
+     *        обрабатывает только файлы, отмеченные через invalidate
+     */
+    static async run(builder = null) {
         const startTime = performance.now();
         let buildTime;
 
         try {
-            const builder = new Build(JoltConfiguration);
-            const result = await builder.build();
+            const build = builder || Bundler.createBuilder();
+            const result = await build.build();
+            // Потоки трансформации своего экземпляра освобождаются сразу, чужой живёт между пересборками
+            if (!builder) await build.close();
 
             buildTime = ((performance.now() - startTime) / 1000).toFixed(2);
 
@@ -50,4 +57,11 @@ export class Bundler {
             };
         }
     }
+
+    /**
+     * @returns {Build} Сборщик по JoltConfiguration для повторных запусков run
+     */
+    static createBuilder() {
+        return new Build(JoltConfiguration);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+import { Build } from '../lib/build.js';
+import Manifest, { sourceKey } from '../lib/components/manifest-script.js';
+import { performance } from 'perf_hooks';
+import path from 'path';
+import fs from 'fs';
+import { ApiLogger, LogLevel } from '../api/ApiLogger.js';
+import { Cleaner } from '../utils/cleaner.js';
+import { stopBuildProcess } from '../utils/cleanup.js';
+import compressFiles from '../utils/compression.js';
+import { copyStaticFiles } from '../utils/file-utils.js';
+import { runPipeline } from '../utils/task-manager.js';
+import { startWatcher } from '../utils/watcher.js';
+import { startServer } from '../utils/server.js';
+import { perf } from '../utils/perf.js';
+import { processStyles } from '../plugins/css-preprocessor.js';
+import { processAssets } from '../plugins/asset-manager.js';
+import { processHtml } from '../plugins/html-processor.js';
+
+const logger = new ApiLogger("JOLT", LogLevel.DEBUG);
+
+/**
+ * Полный пайплайн сборки проекта: скрипты, стили, ассеты, HTML,
+ * статические файлы, компрессия, вотчер и dev-сервер
+ */
+export class JoltBundler {
+    #config;
+    #cache;
+    #builder = null;
+    #abortController = new AbortController();
+    #activeBuilds = new Set();
+    #pending = new Set();
+    #isProduction = process.env.NODE_ENV === 'production';
+
+    constructor(options = {}) {
+        this.#config = {
+            ...options,
+            entry: options.entry || './src/main.js',
+            outDir: options.outDir || './dist',
+            publicDir: options.publicDir || './public',
+            staticDir: options.staticDir || './static',
+            assetsDir: options.assetsDir || 'assets',
+
+            // Режимы работы
+            watch: !!options.watch,
+            serve: !!options.serve,
+            cache: options.cache !== false,
+            parallel: options.parallel !== false,
+
+            sourcemap: !!options.sourcemap,
+            tailwind: options.tailwind || false,
+            compress: !!options.compress,
+            // manifest.json для серверных шаблонов: true или имя файла относительно outDir
+            manifest: options.manifest === true ? 'manifest.json' : options.manifest || null,
+
+            css: {
+                include: ['src/**/*.{css,scss,sass,less}'],
+                exclude: [],
+                ...options.css
+            },
+            minify: {
+                js: false,
+                css: false,
+                html: false,
+                ...options.minify
+            },
+            image: {
+                formats: ['original'],
+                quality: 80,
+                ...options.image,
+                resize: {
+                    withoutEnlargement: true,
+                    ...options.image?.resize
+                }
+            },
+            svgo: options.svgo || { plugins: ['preset-default'] },
+            fonts: {
+                formats: ['woff2', 'woff'],
+                preload: false,
+                subset: false,
+                ...options.fonts
+            },
+            esbuild: options.esbuild || {},
+            server: {
+                port: 3000,
+                open: false,
+                host: 'localhost',
+                cors: true,
+                ...options.server
+            }
+        };
+
+        this.#cache = {
+            assets: new Map(),
+            scripts: new Map(),
+            styles: new Map(),
+            html: new Map()
+        };
+    }
+
+    async build() {
+        const startTime = performance.now();
+        const signal = this.#abortController.signal;
+
+        try {
+            await Cleaner(this.#config, this.#cache);
+
+            // Скрипты, стили, ассеты и статика не зависят друг от друга
+            await runPipeline(this.#activeBuilds, this.#pending, this.#config, [
+                () => this.#processScripts(),
+                () => processStyles(this.#config, this.#cache, signal, this.#isProduction),
+                () => processAssets(this.#config, this.#cache, signal),
+                () => copyStaticFiles(this.#config, signal)
+            ]);
+
+            // HTML собирается последним: в него вставляются теги готовых JS и CSS
+            await processHtml(this.#config, this.#cache, this.#isProduction, signal);
+
+            if (this.#config.manifest) {
+                await this.#writeManifest();
+            }
+
+            if (this.#config.compress) {
+                await compressFiles(this.#config, this.#abortController);
+            }
+
+            const buildTime = ((performance.now() - startTime) / 1000).toFixed(2);
+            logger.success(`Build completed in ${buildTime}s`);
+
+            if (this.#config.watch) {
+                await startWatcher(this.#config, this.#cache, this.#createDependencies());
+                this.#watchGlobDirs();
+            }
+
+            if (this.#config.serve) {
+                startServer(this.#config);
+            }
+
+            return {
+                success: true,
+                buildTime: `${buildTime}s`,
+                outDir: path.resolve(this.#config.outDir)
+            };
+        } catch (error) {
+            const buildTime = ((performance.now() - startTime) / 1000).toFixed(2);
+
+            if (error.name === 'AbortError') {
+                logger.warn(`Build aborted after ${buildTime}s`);
+            } else {
+                logger.error(`Build failed after ${buildTime}s`);
+                logger.error(error);
+            }
+
+            return {
+                success: false,
+                error: error instanceof Error ? error : new Error(String(error)),
+                buildTime: `${buildTime}s`
+            };
+        }
+    }
+
+    async stop() {
+        const { abortController } = await stopBuildProcess({
+            config: this.#config,
+            context: null,
+            abortController: this.#abortController,
+            cache: this.#cache
+        });
+
+        this.#abortController = abortController;
+        await this.#builder?.close();
+        this.#builder = null;
+    }
+
+    /**
+     * Собирает JS через Build, переиспользуя один экземпляр между пересборками
+     */
+    async #processScripts() {
+        perf.mark('scripts-start');
+
+        if (!this.#builder) {
+            const esbuild = this.#config.esbuild;
+
+            this.#builder = new Build({
+                entry: this.#config.entry,
+                outdir: this.#config.outDir,
+                format: ['esm', 'cjs'].includes(esbuild.format) ? esbuild.format : 'iife',
+                // Несколько форматов из одного графа: ['esm', { format: 'umd', globalName: 'Widgets' }]
+                formats: esbuild.formats,
+                globalName: esbuild.globalName,
+                platform: esbuild.platform || 'browser',
+                treeShaking: esbuild.treeShaking ?? this.#isProduction,
+                scopeHoisting: esbuild.scopeHoisting ?? this.#isProduction,
+                // Очисткой outDir занимается Cleaner, Build не должен удалять стили и ассеты
+                cache: true,
+                cacheDir: esbuild.cacheDir,
+                swcOptions: {
+                    jsc: {
+                        target: esbuild.target,
+                        minify: this.#config.minify.js
+                    }
+                },
+                // Режим карт JS: 'inline' | 'external' | 'hidden'
+                sourcemaps: this.#config.sourcemap && (esbuild.sourcemap || 'inline'),
+                external: esbuild.external || [],
+                alias: esbuild.alias,
+                tsconfig: esbuild.tsconfig,
+                mode: this.#isProduction ? 'production' : 'development',
+                define: esbuild.define,
+                loader: esbuild.loader,
+                assetsDir: this.#config.assetsDir,
+                image: this.#config.image,
+                circular: esbuild.circular,
+                // Общие чанки модулей нескольких entry-точек и чанк vendor для node_modules
+                splitting: esbuild.splitting,
+                // Потоки трансформации модулей, по умолчанию по числу ядер
+                threads: esbuild.threads,
+                // Чанки, CSS и ассеты бандлов попадают в manifest.json, который пишет #writeManifest
+                recordFiles: Boolean(this.#config.manifest)
+            });
+        }
+
+        const result = await this.#builder.build();
+        if (!result.success) throw result.error;
+
+        // В HTML попадают только бандлы entry-точек, без чанков import()
+        this.#cache.scripts.set(this.#config.entry, this.#builder.getManifest().getPageEntries());
+        this.#watchGlobDirs();
+        perf.measure('Scripts Processing', 'scripts-start');
+    }
+
+    /**
+     * Добавляет в вотчер каталоги import.meta.glob, файлы модулей графа и addWatchFile плагинов:
+     * файлы, появившиеся в каталогах после старта, и не JS-модули иначе не попали бы в список наблюдаемых
+     */
+    #watchGlobDirs() {
+        if (!this.#config.watcher || !this.#builder) return;
+
+        this.#config.scriptWatchDirs = this.#builder.getWatchDirs();
+        this.#config.watcher.add([...this.#config.scriptWatchDirs, ...this.#builder.getWatchFiles()]);
+    }
+
+    /**
+     * Зависимости для processChanges: каждая задача пересобирает свою часть проекта
+     */
+    #createDependencies() {
+        const signal = () => this.#abortController.signal;
+
+        return {
+            copyStaticFiles: () => copyStaticFiles(this.#config, signal()),
+            processStyles: (changedFiles) => processStyles(this.#config, this.#cache, signal(), this.#isProduction, changedFiles),
+            // Build пересобирает только модули изменённых файлов и их импортёров
+            invalidateScripts: (changedFiles) => this.#builder?.invalidate(...changedFiles),
+            // Модули графа и файлы, от которых они зависят, включая addWatchFile плагинов
+            hasScriptFile: (filePath) => !!this.#builder?.hasFile(filePath),
+            processScripts: () => this.#processScripts(),
+            processAssets: () => processAssets(this.#config, this.#cache, signal()),
+            processHtml: () => processHtml(this.#config, this.#cache, this.#isProduction, signal()),
+            writeManifest: () => this.#writeManifest()
+        };
+    }
+
+    /**
+     * Записывает manifest.json: JS-бандлы из Build, CSS-бандл стилей и ассеты из src/assets
+     */
+    async #writeManifest() {
+        const manifest = new Manifest(this.#config.outDir);
+        if (this.#builder?.getManifest()) manifest.merge(this.#builder.getManifest());
+
+        // Кеш хранит и файлы, удалённые с тех пор из outDir
+        for (const { outputFile } of this.#cache.styles.values()) {
+            if (fs.existsSync(outputFile)) await manifest.addFile('styles.css', outputFile);
+        }
+        for (const [key, { outputPath }] of this.#cache.assets) {
+            const src = sourceKey(path.join('src/assets', key));
+            if (fs.existsSync(outputPath)) await manifest.addFile(src, outputPath, { src });
+        }
+
+        await manifest.write(this.#config.manifest);
+    }
+}
\ No newline at end of file
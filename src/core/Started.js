@@ -15,7 +15,7 @@ async function main() {
             await watcher.start();
             logger.info('👀 Watch mode is active. Waiting for changes...');
         } else {
-            await Bundler.run(JoltConfiguration);
+            await Bundler.run();
             logger.success('✨ Build completed successfully');
         }
     } catch (error) {
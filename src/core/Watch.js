@@ -21,6 +21,10 @@ export class Watcher {
         this.rebuildTimeout = null;
         this.isBuilding = false;
         this.isWatching = false;
+        // Один сборщик на всё время работы: пересборка обрабатывает только изменённые файлы
+        this.builder = Bundler.createBuilder();
+        // Файлы, изменённые с последней пересборки
+        this.changedFiles = new Set();
     }
 
     async start() {
@@ -59,18 +63,30 @@ export class Watcher {
     }
 
     async handleFileChange(event, path) {
+        logger.info(`🔃 File ${event}: ${path}`);
+        this.changedFiles.add(path);
+
+        // Изменения во время сборки не теряются: пересборка запустится после неё
         if (this.isBuilding) {
-            logger.debug(`Skipping rebuild: already in progress (${event} ${path})`);
+            logger.debug(`Rebuild queued: already in progress (${event} ${path})`);
             return;
         }
 
+        this.scheduleRebuild();
+    }
+
+    scheduleRebuild() {
         clearTimeout(this.rebuildTimeout);
 
         this.rebuildTimeout = setTimeout(async () => {
             try {
                 this.isBuilding = true;
-                logger.info(`🔃 File ${event}: ${path}`);
-                await Bundler.run(this.config);
+                this.builder.invalidate(...this.changedFiles);
+                this.changedFiles.clear();
+                await Bundler.run(this.builder);
+                // Каталоги import.meta.glob и файлы addWatchFile плагинов могут лежать вне watchPatterns:
+                // новый файл в каталоге шаблона тоже запускает пересборку
+                this.watcher.add([...this.builder.getWatchDirs(), ...this.builder.getWatchFiles()]);
             } catch (err) {
                 logger.error(`Rebuild failed: ${err.message}`);
                 if (err.stack) logger.debug(err.stack);
@@ -79,6 +95,7 @@ export class Watcher {
                 await new Promise(resolve => setTimeout(resolve, 1000));
             } finally {
                 this.isBuilding = false;
+                if (this.changedFiles.size > 0) this.scheduleRebuild();
             }
         }, this.config.debounceTime);
     }
@@ -93,6 +110,7 @@ export class Watcher {
 
         try {
             await this.watcher.close();
+            await this.builder.close();
             this.isWatching = false;
             logger.info('Watcher stopped');
         } catch (error) {
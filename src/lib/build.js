@@ -1,12 +1,27 @@
-import { promises as fs } from 'node:fs';
+import { promises as fs, existsSync } from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url'
 import glob from 'fast-glob';
 import buildDependencyGraph from './components/graph-script.js';
-import { generateESBundle, generateIIFEBundle } from './components/generate-script.js';
+import { generateESBundle, generateIIFEBundle, generateSharedChunks, renderFileName } from './components/generate-script.js';
 import writeOutput from './components/result-script.js';
+import shakeModules from './components/shake-script.js';
+import { planSharedChunks } from './components/chunk-script.js';
 import { catchError } from './components/utils-script.js';
-import runPlugins from './components/plugin-script.js';
+import runPlugins, { getPlugins } from './components/plugin-script.js';
+import DiskCache from './components/cache-script.js';
+import TransformPool, { getDefaultPoolSize } from './components/pool-script.js';
+import { normalizeLoaders } from './components/loader-script.js';
+import loadEnv, { createDefines } from './components/env-script.js';
+import normalizeAlias, { loadTsconfig } from './components/alias-script.js';
+import { workerPlaceholder } from './components/worker-script.js';
+import { getGlobDirs } from './components/glob-script.js';
+import Manifest, { sourceKey } from './components/manifest-script.js';
+import DependentsIndex from './components/dependents-script.js';
+import checkCycles from './components/cycle-script.js';
+import { splitQuery, clearPackageCache } from './components/module-script.js';
+import { removeHashPlaceholder, cleanOldHashes } from '../utils/hash-utils.js';
+import { resolveDependencies } from './components/process-script.js';
 import { ApiLogger, LogLevel } from '../api/ApiLogger.js';
 const logger = new ApiLogger("JOLT-BUILD", LogLevel.DEBUG)
 
@@ -16,21 +31,62 @@ export class Build {
     #config;
     #graph = new Map();
     #cache = new Map();
+    #store = null;
+    #pool = null;
+    #manifest = null;
+    // Обратные зависимости графа для инкрементальной пересборки
+    #index = new DependentsIndex();
+    // Файлы, изменённые после последней сборки (invalidate), или null, если они неизвестны
+    #changes = null;
+    // Граф последней сборки проверен целиком: при известных изменениях проверяются только они
+    #verified = false;
+    // Сгенерированные бандлы IIFE по ключу: неизменившиеся не генерируются заново
+    #outputs = new Map();
+    // Связанный и минифицированный код чанков ES-модулей: заново рендерятся только чанки,
+    // модули или связи которых изменились
+    #chunks = { linked: new Map(), minified: new WeakMap(), workerUrls: new WeakMap() };
+    // Содержимое файлов прошлой и текущей сборки по пути: неизменившиеся файлы не перезаписываются
+    #written = { previous: new Map(), current: new Map() };
+    // Состояние хуков плагинов текущей сборки: файлы emitFile и addWatchFile, имена чанков
+    #plugins = null;
+    // Файлы с хешем, записанные текущей сборкой: их старые версии удаляются после записи всех
+    #hashed = [];
+    // Циклы зависимостей, о которых предупредила прошлая сборка
+    #cycles = new Set();
 
     constructor(config = {}) {
+        const mode = config.mode || process.env.NODE_ENV || 'development';
+        const tsconfig = loadTsconfig(config.tsconfig);
+
         this.#config = {
             entry: config.entry || null,
             pattern: config.pattern || null,
             outdir: config.outdir || 'dist',
             outfile: config.outfile || null, // Новая опция для единого выходного файла
-            format: config.format || 'iife',
+            // Форматы вывода из одного графа: 'iife' | 'esm' | 'cjs' | 'umd'
+            // или { format, fileName, chunkFileName, globalName }. Хеш содержимого
+            // добавляется в имя, только если в шаблоне есть [hash]
+            formats: normalizeFormats(config),
             platform: config.platform || 'browser',
             cache: config.cache !== false, // По умолчанию true
+            // Постоянный кеш трансформированных модулей между запусками; false отключает
+            cacheDir: config.cacheDir ?? 'node_modules/.cache/jolt',
+            cacheMaxSize: config.cacheMaxSize ?? 256 * 1024 * 1024,
+            // Потоки worker_threads для трансформации модулей SWC; 0 - трансформация в основном потоке
+            threads: config.threads ?? getDefaultPoolSize(),
 
             // Настройки трансформации
             target: config.swcOptions?.jsc?.target || 'es2022',
-            sourcemaps: config.swcOptions?.sourceMaps ? 'inline' : false,
+            // 'inline' | 'external' | 'hidden' | false; true из swcOptions.sourceMaps означает 'inline'
+            sourcemaps: normalizeSourcemaps(config.sourcemaps ?? config.swcOptions?.sourceMaps),
             minify: !!config.swcOptions?.jsc?.minify,
+            // Удаление неиспользуемых экспортов и модулей, по умолчанию только в production
+            treeShaking: config.treeShaking ?? process.env.NODE_ENV === 'production',
+            // Объединение ESM-модулей IIFE-бандла в одну область видимости вместо фабрик
+            scopeHoisting: config.scopeHoisting ?? process.env.NODE_ENV === 'production',
+            // Общие чанки для модулей нескольких entry-точек: { minSize, minEntries, vendor } или false.
+            // vendor - true, имя чанка или { name, test } для кода из node_modules
+            splitting: normalizeSplitting(config.splitting),
 
             // Расширенные настройки SWC
             swcOptions: {
@@ -57,62 +113,718 @@ export class Build {
 
             // Внешние зависимости
             external: config.external || [],
-            plugins: config.plugins || []
+
+            // Режим сборки для process.env.NODE_ENV, import.meta.env.MODE и выбора .env.[mode]
+            mode,
+            // Выражение -> код замены; переменные из .env с публичным префиксом добавляются
+            // как import.meta.env.* и process.env.*
+            define: createDefines(
+                config.define,
+                loadEnv(mode, config.envDir || '.', [].concat(config.envPrefix || 'JOLT_')),
+                mode
+            ),
+
+            // Загрузчики файлов, не являющихся JS: { '.svg': 'file', '.md': 'text' }
+            loader: normalizeLoaders(config.loader),
+            // Каталог внутри outdir и префикс URL для файлов загрузчика file
+            assetsDir: config.assetsDir || 'assets',
+            publicPath: config.publicPath ?? './',
+            // Настройки оптимизации изображений конвейера ассетов; без них файлы копируются как есть
+            image: config.image || null,
+
+            // Циклические зависимости: 'warn' | 'error' | 'ignore' или { mode, allow: [...] }
+            circular: normalizeCircular(config.circular),
+
+            // Разрешение пакетов из node_modules
+            conditions: config.conditions || null,
+            mainFields: config.mainFields || null,
+            // Псевдонимы путей: { '@': './src' } или [{ find: RegExp, replacement }];
+            // paths и baseUrl из tsconfig.json/jsconfig.json добавляются автоматически
+            alias: normalizeAlias(config.alias, tsconfig),
+            baseUrl: tsconfig?.baseUrl ?? null,
+            // manifest.json с хешированными именами файлов: true или имя файла относительно outdir
+            manifest: config.manifest === true ? 'manifest.json' : config.manifest || null,
+            // Записи чанков, стилей и ассетов без записи manifest.json: манифест пишет вызывающий код
+            recordFiles: config.recordFiles ?? false,
+            // Плагины: хуки resolveId, load и transform модулей и afterBuild. Хук - функция или
+            // { filter: { id, code }, handler }; enforce: 'pre' | 'post' задаёт порядок вызова
+            plugins: getPlugins(config.plugins || [])
         };
         if (!this.#config.entry && !this.#config.pattern) {
             throw new Error('Either "entry" or "pattern" must be provided');
         }
+        if (this.#config.cache && this.#config.cacheDir) {
+            this.#store = new DiskCache(this.#config);
+        }
+        if (!Number.isInteger(this.#config.threads) || this.#config.threads < 0) {
+            throw new Error(`Invalid threads ${this.#config.threads}: expected a non-negative integer`);
+        }
+        if (this.#config.threads > 0) {
+            this.#pool = new TransformPool(this.#config.threads);
+        }
+        if (this.#config.outfile && this.#config.formats.length > 1) {
+            throw new Error('outfile cannot be used with several formats: use outdir and fileName templates');
+        }
         if (this.#config.outfile && this.#config.outdir) {
             logger.warn('Both outfile and outdir specified - using outfile');
         }
     }
 
     async build() {
+        const plugins = this.#plugins = {
+            config: this.#config,
+            graph: this.#graph,
+            cache: this.#cache,
+            emitted: [],
+            watchFiles: new Set(),
+            fileNames: new Map(),
+            started: []
+        };
+        let buildEnded = false;
+
         try {
-            const entries = this.#config.pattern
-                ? await glob(this.#config.pattern)
-                : [this.#config.entry];
+            const changes = this.#changes && this.#getChanges();
+            for (const [filePath, event] of changes || []) {
+                await runPlugins(plugins, 'watchChange', filePath, { event: WATCH_EVENTS[event] });
+            }
+            await runPlugins(plugins, 'buildStart', this.#config);
+            // Ассеты хуков сборки записываются с первой entry-точкой каждого формата
+            plugins.started = plugins.emitted.filter(file => file.type === 'asset');
+
+            // Чанки emitFile из buildStart собираются как ещё одни entry-точки
+            const entries = [
+                ...(this.#config.pattern ? await glob(this.#config.pattern) : [this.#config.entry]),
+                ...plugins.emitted.filter(file => file.type === 'chunk').map(file => file.id)
+            ];
 
             // Очищаем только при отключенном кешировании
             if (!this.#config.cache) {
                 await fs.rm(this.#config.outdir, { recursive: true, force: true });
             }
 
-            // Параллельная обработка entry-точек
-            const buildPromises = entries.map(async (entry) => {
-                const modules = await buildDependencyGraph(
-                    this.#config,
-                    this.#cache,
-                    this.#graph,
-                    entry
-                );
-
-                const outFile = this.#config.outfile ||
-                    path.join(
-                        this.#config.outdir,
-                        `${path.basename(entry, path.extname(entry))}.js`
-                    );
-
-                const bundle = this.#config.format === 'esm'
-                    ? await generateESBundle(modules, entry)
-                    : await generateIIFEBundle(modules, entry);
-
-                await writeOutput(this.#config, bundle, outFile);
-                return outFile;
-            });
+            this.#manifest = new Manifest(this.#config.outfile ? path.dirname(this.#config.outfile) : this.#config.outdir);
+            this.#hashed = [];
+            this.#written = { previous: this.#written.current, current: new Map() };
+
+            // После проверенной сборки с известными изменениями остальные модули берутся из графа как есть
+            const isFresh = this.#verified && changes ? await this.#applyChanges(changes) : null;
+            // Сборка без списка изменений проверяет все файлы, в том числе package.json пакетов
+            if (!isFresh) clearPackageCache();
+            this.#verified = false;
+            this.#changes = null;
+
+            // Граф строится один раз, все форматы собираются из него
+            const graphs = await Promise.all(
+                entries.map(entry => buildDependencyGraph(this.#config, this.#cache, this.#graph, entry, this.#store, this.#pool, isFresh))
+            );
+            const shaken = new Map();
+
+            // Воркеры собираются первыми: имена их бандлов попадают в код создающих их модулей
+            const workerDir = path.dirname(this.#getOutFile({ ...this.#config, ...this.#config.formats[0] }, entries[0]));
+            const workers = await this.#buildWorkers(graphs.flat(), workerDir, isFresh);
+            this.#index.update(this.#graph.values());
+
+            // Циклы ищутся один раз на общем графе entry-точек и воркеров: модуль, общий для
+            // нескольких из них, не даёт повторных предупреждений
+            this.#cycles = checkCycles(this.#config, collectModules(this.#graph, [...entries, ...workers.keys()]), entries, this.#cycles);
 
-            const outputFiles = await Promise.all(buildPromises);
+            buildEnded = true;
+            await runPlugins(plugins, 'buildEnd');
 
+            const outputFiles = [];
+            for (const target of this.#config.formats) {
+                const config = { ...this.#config, ...target };
+                outputFiles.push(...(target.format === 'esm'
+                    ? await this.#buildESM(config, entries, graphs, workers)
+                    : await this.#buildIIFE(config, entries, graphs, shaken, workers)));
+            }
+            // Entry-точки пишутся одновременно: старые версии файлов удаляются, когда записаны все,
+            // иначе очистка одной entry-точки удалила бы только что записанный чанк другой
+            await cleanHashedFiles(this.#hashed);
+
+            await this.#store?.prune();
 
-            await runPlugins(this.#config, this.#cache, this.#graph, 'afterBuild', {
+            await runPlugins(plugins, 'afterBuild', {
                 config: this.#config,
-                outputFiles
+                outputFiles,
+                // Плагины, записывающие свои файлы, добавляют их в манифест
+                manifest: this.#manifest
             })
 
+            if (this.#config.manifest) {
+                await this.#manifest.write(this.#config.manifest);
+            }
+
+            this.#verified = true;
             return catchError(true, null, this.#config, outputFiles);
         } catch (error) {
             logger.error('Build failed:', error);
+            if (!buildEnded) {
+                await runPlugins(plugins, 'buildEnd', error).catch(hookError => logger.error('buildEnd failed:', hookError));
+            }
             return catchError(false, error, this.#config, null);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Отмечает изменённые, новые и удалённые файлы. Следующая сборка трансформирует заново
+     * только модули этих файлов и заново разрешает импорты затронутых модулей; без вызова
+     * invalidate сборка проверяет содержимое всех файлов графа
+     * @param {...string} filePaths - Пути файлов
+     */
+
+    invalidate(...filePaths) {
+        this.#changes ??= new Set();
+        for (const filePath of filePaths) this.#changes.add(path.resolve(filePath));
+    }
+
+    /**
+     * Каталоги шаблонов import.meta.glob собранных модулей: вотчер следит за ними,
+     * чтобы новый файл, подходящий под шаблон, запускал пересборку
+     * @returns {string[]} Абсолютные пути каталогов
+     */
+
+    getWatchDirs() {
+        const dirs = new Set();
+        for (const node of this.#graph.values()) {
+            for (const entry of node.globs || []) getGlobDirs(entry).forEach(dir => dirs.add(dir));
+        }
+        return [...dirs];
+    }
+
+    /**
+     * Файлы, изменение которых должно запускать пересборку: исходники модулей графа
+     * (в том числе не JS - стили, JSON, ?raw), addWatchFile плагинов и файлы, прочитанные загрузчиками
+     * @returns {string[]} Абсолютные пути файлов
+     */
+
+    getWatchFiles() {
+        const files = new Set(this.#plugins?.watchFiles);
+        for (const node of this.#graph.values()) {
+            // Виртуальные модули плагинов файлов не имеют
+            const [source] = splitQuery(node.path);
+            if (path.isAbsolute(source)) files.add(source);
+            Object.keys(node.fileDependencies || {}).forEach(file => files.add(file));
+        }
+        return [...files];
+    }
+
+    /**
+     * Входит ли файл в последнюю сборку: исходник модуля графа с любым расширением и запросом
+     * (стили и JSON из JS, ?raw, ?inline), файл, прочитанный при обработке модуля
+     * (@import стилей, url() ассетов, загрузчики), или addWatchFile плагинов
+     * @param {string} filePath - Путь файла
+     * @returns {boolean}
+     */
+
+    hasFile(filePath) {
+        const resolved = path.resolve(filePath);
+        return this.#index.has(resolved) || !!this.#plugins?.watchFiles.has(resolved);
+    }
+
+    /**
+     * Останавливает потоки трансформации. Простаивающие потоки не держат процесс,
+     * но долгоживущему процессу с несколькими экземплярами Build лучше их освобождать
+     */
+
+    async close() {
+        await this.#pool?.close();
+    }
+
+    /**
+     * Манифест последней сборки: entry-точки, чанки, их CSS и ассеты с хешированными именами
+     * @returns {Manifest|null} null до первой сборки
+     */
+
+    getManifest() {
+        return this.#manifest;
+    }
+
+    // Что произошло с файлами из invalidate: 'add' | 'change' | 'unlink'
+    #getChanges() {
+        return new Map([...this.#changes].map(filePath => [
+            filePath,
+            !existsSync(filePath) ? 'unlink' : this.#index.has(filePath) ? 'change' : 'add'
+        ]));
+    }
+
+    // Применяет изменения файлов к графу: узлы удалённых файлов выбрасываются, импорты
+    // затронутых модулей разрешаются заново. Возвращает проверку для buildDependencyGraph:
+    // изменённые модули обрабатываются заново, остальные берутся из графа
+    async #applyChanges(changes) {
+        const dirty = new Set();
+        const unresolved = new Set();
+
+        for (const [filePath, event] of changes) {
+            // package.json задаёт exports, main и browser своего пакета: импорты всех модулей
+            // разрешаются заново. Установка и удаление пакета в node_modules приходят событием его package.json
+            clearPackageCache(filePath);
+            if (path.basename(filePath) === 'package.json') {
+                this.#graph.forEach((node, modulePath) => unresolved.add(modulePath));
+            }
+
+            const affected = this.#index.affected(filePath, event);
+
+            affected.dirty.forEach(modulePath => dirty.add(modulePath));
+            affected.unresolved.forEach(modulePath => unresolved.add(modulePath));
+            for (const modulePath of affected.removed) {
+                this.#graph.delete(modulePath);
+                this.#cache.delete(modulePath);
+                this.#index.remove(modulePath);
+            }
+        }
+
+        for (const modulePath of unresolved) {
+            const node = this.#graph.get(modulePath);
+            if (!node || dirty.has(modulePath)) continue;
+
+            // При ошибке разрешения следующая сборка обработает модуль заново
+            const hash = this.#cache.get(modulePath);
+            this.#cache.delete(modulePath);
+            this.#graph.set(modulePath, {
+                ...node,
+                ...await resolveDependencies(this.#config, modulePath, node.imports, { config: this.#config, graph: this.#graph })
+            });
+            if (hash) this.#cache.set(modulePath, hash);
+        }
+
+        logger.debug(`Incremental build: ${dirty.size} modules to process, ${unresolved.size} to resolve`);
+        return (modulePath) => !dirty.has(modulePath);
+    }
+
+    // Каждая entry-точка собирается в самостоятельный бандл IIFE, CommonJS или UMD.
+    // Модули, общие для нескольких IIFE-бандлов, выносятся в общие чанки
+    async #buildIIFE(config, entries, graphs, shaken, workers) {
+        for (const [index, entry] of entries.entries()) {
+            if (!shaken.has(entry)) shaken.set(entry, await this.#shake(graphs[index], [entry]));
+        }
+        const shared = await this.#buildSharedChunks(config, entries, graphs, shaken, workers);
+        // Чанки import() у каждой entry-точки свои: имя без [hash] не должно занять чужой файл
+        const chunkOwners = new Map();
+
+        return Promise.all(entries.map(async (entry, index) => {
+            const outFile = this.#getOutFile(config, entry);
+            const entryShared = shared && {
+                baseDir: shared.baseDir,
+                chunks: shared.chunks.filter(chunk => chunk.owners.includes(path.resolve(entry)))
+            };
+            // Модуль общего чанка, который entry-точка не загружает, остаётся в её чанках import()
+            const sharedPaths = new Set(entryShared?.chunks.flatMap(chunk => chunk.paths));
+            const modules = shaken.get(entry).filter(mod => !sharedPaths.has(mod.path));
+            const output = this.#generate(
+                `${config.format}:${entry}`,
+                [...modules, ...workers.values(), ...entryShared?.chunks.map(chunk => chunk.fileName) || []],
+                () => generateIIFEBundle(withWorkerUrls(modules, workers, path.dirname(outFile)), entry, config, entryShared)
+            );
+            for (const chunk of output.chunks) {
+                const owner = chunkOwners.get(chunk.fileName);
+                if (owner && owner.code !== chunk.code) {
+                    throw new Error(`Chunk ${chunk.fileName} of ${entry} would overwrite the chunk of ${owner.entry}: add [hash] to chunkFileName`);
+                }
+                chunkOwners.set(chunk.fileName, { entry, code: chunk.code });
+            }
+
+            // Файлы общих чанков записываются один раз, вместе с первой entry-точкой
+            const files = {
+                ...output,
+                chunks: index === 0 && shared ? [...output.chunks, ...shared.files] : output.chunks,
+                styles: index === 0 && shared ? [...output.styles, ...shared.styles] : output.styles,
+                assets: getAssets(modules),
+                emitted: getEmitted(modules, index === 0 ? [...this.#plugins.started, ...shared?.emitted || []] : [])
+            };
+            const { filePath, written, contents } = await this.#write(config, entry, files, outFile);
+            await this.#recordOutput(config, entry, filePath, written, contents);
+            return filePath;
+        }));
+    }
+
+    // Общие чанки нужны только IIFE без globalName: бандлы CommonJS, UMD и с глобальным
+    // именем подключаются как самостоятельные библиотеки
+    async #buildSharedChunks(config, entries, graphs, shaken, workers) {
+        const { splitting } = config;
+        if (!splitting || config.format !== 'iife' || config.globalName) return null;
+        if (entries.length < 2 && !splitting.vendor) return null;
+
+        // Код общего модуля должен подходить всем entry-точкам: он берётся из общей очистки
+        const joint = await this.#shake([...new Map(graphs.flat().map(mod => [mod.path, mod])).values()], entries);
+        const modules = withWorkerUrls(joint, workers, path.dirname(this.#getOutFile(config, entries[0])));
+        const planned = planSharedChunks(modules, entries, splitting);
+        if (!planned.length) return null;
+        const baseDir = getCommonDir(entries.map(entry => path.dirname(path.resolve(entry))));
+        const { chunks, styles } = this.#generate(
+            `${config.format}:shared`,
+            [...joint, ...workers.values(), ...entries.map(entry => path.resolve(entry))],
+            () => generateSharedChunks(planned, modules, baseDir, config)
+        );
+
+        logger.debug(`Shared chunks: ${planned.map(chunk => `${chunk.name} (${chunk.paths.length} modules)`).join(', ')}`);
+        return {
+            baseDir,
+            chunks: planned.map((chunk, index) => ({ ...chunk, fileName: chunks[index].fileName, style: chunks[index].style })),
+            files: chunks,
+            styles,
+            emitted: getEmitted(modules.filter(mod => planned.some(chunk => chunk.paths.includes(mod.path))))
+        };
+    }
+
+    // ES-модули всех entry-точек собираются вместе, чтобы общие модули попали в общие чанки
+    async #buildESM(config, entries, graphs, workers) {
+        const modules = await this.#shake(
+            [...new Map(graphs.flat().map(mod => [mod.path, mod])).values()],
+            entries
+        );
+
+        // Чанки кешируются по отдельности: правка модуля заново рендерит только его чанк
+        // и чанки, связи которых с ним изменились
+        const { outputs, chunks, styles } = generateESBundle(
+            withWorkerUrls(modules, workers, path.dirname(this.#getOutFile(config, entries[0])), this.#chunks.workerUrls),
+            entries.map(entry => ({ path: entry, name: path.basename(entry, path.extname(entry)) })),
+            config,
+            this.#chunks
+        );
+
+        const outputFiles = [];
+        for (const [index, output] of outputs.entries()) {
+            const outFile = this.#getOutFile(config, output.entry);
+            const files = {
+                ...output,
+                chunks: index === 0 ? chunks : [],
+                styles: index === 0 ? styles : [],
+                assets: index === 0 ? getAssets(modules) : [],
+                emitted: index === 0 ? getEmitted(modules, this.#plugins.started) : []
+            };
+            const { filePath, written, contents } = await this.#write(config, output.entry, files, outFile);
+            await this.#recordOutput(config, output.entry, filePath, written, contents);
+            outputFiles.push(filePath);
+        }
+        return outputFiles;
+    }
+
+    // Каждый воркер - отдельная entry-точка со своим графом: { type: 'module' } собирается
+    // в ES-модуль, классический воркер - в IIFE. Вложенные воркеры собираются раньше родителя
+    async #buildWorkers(modules, dir, isFresh, workers = new Map(), stack = []) {
+        for (const { path: workerPath, type } of modules.flatMap(mod => mod.workers || [])) {
+            if (workers.has(workerPath)) continue;
+            if (stack.includes(workerPath)) {
+                throw new Error(`Worker creates itself: ${[...stack, workerPath].join(' -> ')}`);
+            }
+
+            const graph = await buildDependencyGraph(this.#config, this.#cache, this.#graph, workerPath, this.#store, this.#pool, isFresh);
+            await this.#buildWorkers(graph, dir, isFresh, workers, [...stack, workerPath]);
+
+            const config = {
+                ...this.#config,
+                format: type === 'module' ? 'esm' : 'iife',
+                fileName: '[name].[hash].js',
+                chunkFileName: '[name].[hash].js',
+                globalName: null
+            };
+            const name = path.basename(workerPath, path.extname(workerPath));
+            const modules = withWorkerUrls(await this.#shake(graph, [workerPath]), workers, dir);
+
+            let output;
+            if (config.format === 'esm') {
+                const { outputs, chunks, styles } = generateESBundle(modules, [{ path: workerPath, name }], config);
+                output = { ...outputs[0], chunks, styles };
+            } else {
+                output = generateIIFEBundle(modules, workerPath, config);
+            }
+
+            const files = { ...output, assets: getAssets(modules), emitted: getEmitted(modules) };
+            const { filePath, hashed, contents } = await writeOutput(config, files, path.join(dir, `${name}.[hash].js`), this.#written);
+            this.#hashed.push(...hashed);
+            await this.#recordOutput(config, workerPath, filePath, files, contents, true);
+            workers.set(workerPath, filePath);
+        }
+        return workers;
+    }
+
+    // Запись файлов entry-точки: generateBundle плагинов может изменить код, удалить файл
+    // или добавить ассет, writeBundle получает записанный результат
+    async #write(config, entry, files, outFile) {
+        const options = { format: config.format, dir: path.dirname(outFile), globalName: config.globalName };
+        const bundle = toBundle(files, outFile);
+        const emitted = this.#plugins.emitted.length;
+        await runPlugins(this.#plugins, 'generateBundle', options, bundle);
+        for (const file of this.#plugins.emitted.slice(emitted)) {
+            if (file.type === 'asset') bundle[file.fileName] = toBundleAsset(file);
+        }
+
+        const written = fromBundle(files, outFile, bundle);
+        const { filePath, hashed, contents } = await writeOutput(config, written, outFile, this.#written);
+        this.#hashed.push(...hashed);
+        this.#plugins.fileNames.set(`chunk:${path.resolve(entry)}`, path.basename(filePath));
+        await runPlugins(this.#plugins, 'writeBundle', options, bundle);
+        return { filePath, written, contents };
+    }
+
+    // Записи манифеста для бандла entry-точки или воркера и файлов, записанных вместе с ним.
+    // Записи бандлов нужны всегда (getPageEntries для HTML), остальных файлов - только для manifest.json
+    async #recordOutput(config, entry, filePath, output, contents, isWorker = false) {
+        const manifest = this.#manifest;
+        const dir = path.dirname(filePath);
+        const files = (fileNames = []) => fileNames.map(fileName => manifest.relative(path.join(dir, fileName)));
+        // Один исходник при нескольких форматах даёт несколько бандлов, воркер - ещё один
+        const key = sourceKey(entry) + (isWorker ? '?worker'
+            : this.#config.formats.length > 1 ? `?format=${config.format}` : '');
+
+        await manifest.addFile(key, filePath, {
+            src: sourceKey(entry),
+            ...isWorker ? { isWorker: true } : { isEntry: true },
+            format: config.format,
+            imports: files(output.imports),
+            dynamicImports: files(output.dynamicImports),
+            css: files(output.css)
+        }, contents.get(path.basename(filePath)));
+        if (!this.#config.manifest && !this.#config.recordFiles) return;
+
+        for (const chunk of output.chunks || []) {
+            await manifest.addFile(`_${chunk.fileName}`, path.join(dir, chunk.fileName), {
+                imports: files(chunk.imports),
+                dynamicImports: files(chunk.dynamicImports),
+                css: files(chunk.css)
+            }, contents.get(chunk.fileName));
+        }
+        for (const style of output.styles || []) {
+            await manifest.addFile(`_${style.fileName}`, path.join(dir, style.fileName), {}, contents.get(style.fileName));
+        }
+        for (const asset of output.assets || []) {
+            await manifest.addFile(sourceKey(asset.source), path.join(dir, asset.fileName), { src: sourceKey(asset.source) });
+        }
+        for (const file of output.emitted || []) {
+            await manifest.addFile(`_${file.fileName}`, path.join(dir, file.fileName), {}, contents.get(file.fileName));
+        }
+    }
+
+    // Бандл генерируется заново, только если изменилось что-то из inputs (сравнение по ссылке):
+    // при инкрементальной пересборке узлы неизменённых модулей остаются теми же объектами
+    #generate(key, inputs, generate) {
+        const previous = this.#outputs.get(key);
+        if (previous?.inputs.length === inputs.length && previous.inputs.every((input, index) => input === inputs[index])) {
+            return previous.output;
+        }
+
+        const output = generate();
+        this.#outputs.set(key, { inputs, output });
+        return output;
+    }
+
+    async #shake(modules, entries) {
+        if (!this.#config.treeShaking) return modules;
+
+        const shaken = await shakeModules(this.#config, modules, entries);
+        logger.debug(`Tree shaking: ${modules.length - shaken.length} of ${modules.length} modules removed`);
+        return shaken;
+    }
+
+    // Имя из outfile хешируется, как и имена по шаблону по умолчанию
+    #getOutFile(config, entry) {
+        if (config.outfile) {
+            const ext = path.extname(config.outfile);
+            return `${config.outfile.slice(0, config.outfile.length - ext.length)}.[hash]${ext}`;
+        }
+        return path.join(
+            config.outdir,
+            renderFileName(config.fileName, path.basename(entry, path.extname(entry)), config.format)
+        );
+    }
+}
+
+// Модули графа, достижимые из roots, без повторов
+function collectModules(graph, roots) {
+    const seen = new Set();
+    const queue = roots.map(root => path.resolve(root));
+    while (queue.length > 0) {
+        const current = queue.pop();
+        if (seen.has(current) || !graph.has(current)) continue;
+        seen.add(current);
+        queue.push(...graph.get(current).dependencies);
+    }
+    return [...seen].map(modulePath => graph.get(modulePath));
+}
+
+// Плейсхолдеры воркеров в коде модулей заменяются путями к их бандлам относительно dir,
+// где лежит использующий их бандл. С cache модуль с теми же путями остаётся тем же объектом,
+// и его чанк не связывается заново
+function withWorkerUrls(modules, workers, dir, cache = null) {
+    return modules.map(mod => {
+        if (!mod.workers?.length) return mod;
+
+        const urls = mod.workers.map(({ path: workerPath }) => {
+            const relative = path.relative(dir, workers.get(workerPath)).replace(/\\/g, '/');
+            return relative.startsWith('.') ? relative : `./${relative}`;
+        });
+        const key = urls.join('\n');
+        if (cache?.get(mod)?.key === key) return cache.get(mod).result;
+
+        let { code, source } = mod;
+        mod.workers.forEach(({ path: workerPath }, index) => {
+            code = code.replaceAll(workerPlaceholder(workerPath), urls[index]);
+            source = source.replaceAll(workerPlaceholder(workerPath), urls[index]);
+        });
+        const result = { ...mod, code, source };
+        cache?.set(mod, { key, result });
+        return result;
+    });
+}
+
+// Удаляет старые версии файлов с хешем, оставляя записанные сборкой
+async function cleanHashedFiles(hashed) {
+    const groups = new Map();
+    for (const { dir, name, ext, fileName } of hashed) {
+        const key = JSON.stringify([dir, name, ext]);
+        if (!groups.has(key)) groups.set(key, { dir, name, ext, keep: [] });
+        groups.get(key).keep.push(fileName);
+    }
+    for (const { dir, name, ext, keep } of groups.values()) {
+        await cleanOldHashes(dir, name, ext, keep);
+    }
+}
+
+// Ассеты emitFile плагинов из модулей, оставшихся в сборке, и из хуков сборки
+function getEmitted(modules, files = []) {
+    return [...new Map([...modules.flatMap(mod => mod.emitted || []), ...files].map(file => [file.fileName, file])).values()];
+}
+
+// Файлы записи в виде bundle Rollup: имя файла -> { type: 'chunk', code, map } или
+// { type: 'asset', source }. Ключ бандла entry-точки - имя до добавления хеша
+function toBundle(files, outFile) {
+    const bundle = {};
+    const entryName = files.fileName || path.basename(removeHashPlaceholder(outFile));
+    bundle[entryName] = { type: 'chunk', isEntry: true, fileName: entryName, code: files.code, map: files.map };
+    for (const chunk of files.chunks || []) {
+        bundle[chunk.fileName] = { ...chunk, type: 'chunk', isEntry: false };
+    }
+    for (const style of files.styles || []) {
+        bundle[style.fileName] = { type: 'asset', fileName: style.fileName, name: style.name, source: style.code };
+    }
+    // Ассеты загрузчика file копируются с диска: исходный файл в originalFileName
+    for (const asset of files.assets || []) {
+        bundle[asset.fileName] = { type: 'asset', fileName: asset.fileName, originalFileName: asset.source };
+    }
+    for (const file of files.emitted || []) {
+        bundle[file.fileName] = toBundleAsset(file);
+    }
+    return bundle;
+}
+
+// Двоичный ассет emitFile хранится в base64, плагины получают Buffer
+function toBundleAsset(file) {
+    return {
+        type: 'asset',
+        fileName: file.fileName,
+        name: file.name,
+        source: file.encoding === 'base64' ? Buffer.from(file.source, 'base64') : file.source
+    };
+}
+
+// Файлы записи после generateBundle: переименование файлов не поддерживается,
+// удалённые из bundle файлы не пишутся, новые ассеты записываются как файлы emitFile
+function fromBundle(files, outFile, bundle) {
+    const entryName = files.fileName || path.basename(removeHashPlaceholder(outFile));
+    if (!bundle[entryName]) throw new Error(`generateBundle removed the entry file ${entryName}`);
+
+    const known = new Set([entryName, ...[...files.chunks || [], ...files.styles || []].map(file => file.fileName)]);
+    const assets = (files.assets || []).filter(asset => bundle[asset.fileName]?.source === undefined);
+    assets.forEach(asset => known.add(asset.fileName));
+
+    return {
+        ...files,
+        code: bundle[entryName].code,
+        map: bundle[entryName].map,
+        chunks: (files.chunks || []).filter(chunk => bundle[chunk.fileName])
+            .map(chunk => ({ ...chunk, code: bundle[chunk.fileName].code, map: bundle[chunk.fileName].map })),
+        styles: (files.styles || []).filter(style => bundle[style.fileName])
+            .map(style => ({ ...style, code: bundle[style.fileName].source })),
+        assets,
+        emitted: Object.values(bundle)
+            .filter(file => file.type === 'asset' && !known.has(file.fileName) && file.source !== undefined)
+            .map(file => typeof file.source === 'string'
+                ? { fileName: file.fileName, name: file.name, source: file.source, encoding: 'utf8' }
+                : { fileName: file.fileName, name: file.name, source: Buffer.from(file.source).toString('base64'), encoding: 'base64' })
+    };
+}
+
+// Ближайший общий каталог
+function getCommonDir(dirs) {
+    return dirs.reduce((common, dir) => {
+        while (path.relative(common, dir).startsWith('..')) common = path.dirname(common);
+        return common;
+    });
+}
+
+// Файлы загрузчика file из модулей, оставшихся в сборке
+function getAssets(modules) {
+    return [...new Map(modules.flatMap(mod => mod.assets || []).map(asset => [asset.fileName, asset])).values()];
+}
+
+// Строки formats превращаются в объекты; при нескольких форматах имена файлов
+// по умолчанию различаются суффиксом формата: widget.esm.js, widget.umd.js
+function normalizeFormats(config) {
+    const list = [].concat(config.formats || config.format || 'iife');
+
+    return list.map(item => {
+        const target = typeof item === 'string' ? { format: item } : item;
+        if (!FORMATS.includes(target.format)) {
+            throw new Error(`Unknown format "${target.format}": expected one of ${FORMATS.join(', ')}`);
+        }
+
+        const globalName = target.globalName ?? config.globalName ?? null;
+        if (globalName && !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(globalName)) {
+            throw new Error(`Invalid globalName "${globalName}": expected an identifier or a dotted path`);
+        }
+        if (target.format === 'umd' && !globalName) {
+            throw new Error('The "umd" format requires globalName');
+        }
+
+        const suffix = list.length > 1 ? `.${target.format}` : '';
+        return {
+            format: target.format,
+            fileName: target.fileName || `[name]${suffix}.[hash].js`,
+            chunkFileName: target.chunkFileName || `[name]${suffix}.[hash].js`,
+            globalName
+        };
+    });
+}
+
+const FORMATS = ['iife', 'esm', 'cjs', 'umd'];
+
+// События watchChange плагинов, как в Rollup
+const WATCH_EVENTS = { add: 'create', change: 'update', unlink: 'delete' };
+
+function normalizeSplitting(value = {}) {
+    if (value === false) return false;
+
+    const splitting = { minSize: 0, minEntries: 2, vendor: null, ...(value === true ? {} : value) };
+    if (!Number.isInteger(splitting.minEntries) || splitting.minEntries < 2) {
+        throw new Error(`Invalid splitting.minEntries ${splitting.minEntries}: expected an integer of at least 2`);
+    }
+    if (typeof splitting.minSize !== 'number' || splitting.minSize < 0) {
+        throw new Error(`Invalid splitting.minSize ${splitting.minSize}: expected a non-negative number of bytes`);
+    }
+
+    const { vendor } = splitting;
+    const nodeModules = /[\\/]node_modules[\\/]/;
+    if (vendor === true) splitting.vendor = { name: 'vendor', test: nodeModules };
+    else if (typeof vendor === 'string') splitting.vendor = { name: vendor, test: nodeModules };
+    else if (vendor) splitting.vendor = { name: vendor.name || 'vendor', test: vendor.test || nodeModules };
+    else splitting.vendor = null;
+    return splitting;
+}
+
+function normalizeSourcemaps(value) {
+    if (value === true) return 'inline';
+    if (!value) return false;
+    if (!['inline', 'external', 'hidden'].includes(value)) {
+        throw new Error(`Unknown sourcemaps mode "${value}": expected 'inline', 'external' or 'hidden'`);
+    }
+    return value;
+}
+
+function normalizeCircular(value = 'warn') {
+    const circular = typeof value === 'string' ? { mode: value } : { mode: 'warn', ...value };
+    if (!['warn', 'error', 'ignore'].includes(circular.mode)) {
+        throw new Error(`Unknown circular mode "${circular.mode}": expected 'warn', 'error' or 'ignore'`);
+    }
+    return { mode: circular.mode, allow: circular.allow || [] };
+}
@@ -0,0 +1,173 @@
+/**
+ * Собирает псевдонимы путей из config.alias и compilerOptions.paths файла tsconfig.json/jsconfig.json.
+ * Строковый ключ заменяет префикс спецификатора ('@' подходит для '@' и '@/...'), RegExp - по
+ * правилам String.prototype.replace. Относительные замены отсчитываются от текущего каталога
+ * @param {Object|Object[]} [alias] - { '@': './src' } или [{ find: /^~(.*)$/, replacement: './lib/$1' }]
+ * @param {Object|null} [tsconfig] - Результат loadTsconfig()
+ * @returns {{find: RegExp, replacements: string[]}[]} Псевдонимы в порядке проверки
+ * @throws {Error} Если запись псевдонима некорректна
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export default function normalizeAlias(alias = {}, tsconfig = null) {
+    const entries = Array.isArray(alias)
+        ? alias
+        : Object.entries(alias).map(([find, replacement]) => ({ find, replacement }));
+
+    const result = entries.map(({ find, replacement }) => {
+        if (typeof replacement !== 'string' || !(typeof find === 'string' || find instanceof RegExp)) {
+            throw new Error(`Invalid alias ${String(find)}: expected a string or RegExp and a string replacement`);
+        }
+        if (find instanceof RegExp) {
+            // Флаг g сдвигал бы lastIndex между проверками
+            return { find: new RegExp(find.source, find.flags.replace('g', '')), replacements: [resolveReplacement(replacement)] };
+        }
+        // '@' не должен захватывать '@scope/pkg', поэтому префикс совпадает только до '/' или конца
+        return {
+            find: new RegExp(`^${escapeRegExp(find)}${find.endsWith('/') ? '' : '(?=/|$)'}`),
+            replacements: [resolveReplacement(replacement).replace(/\$/g, '$$$$')]
+        };
+    });
+
+    if (!tsconfig?.paths) return result;
+
+    // Как в TypeScript, из шаблонов paths побеждает самый длинный префикс до '*'
+    const patterns = Object.entries(tsconfig.paths)
+        .sort(([a], [b]) => b.split('*')[0].length - a.split('*')[0].length);
+
+    for (const [pattern, targets] of patterns) {
+        const star = pattern.indexOf('*');
+        const find = star === -1
+            ? new RegExp(`^${escapeRegExp(pattern)}$`)
+            : new RegExp(`^${escapeRegExp(pattern.slice(0, star))}(.*)${escapeRegExp(pattern.slice(star + 1))}$`);
+        result.push({
+            find,
+            replacements: targets.map(target =>
+                path.resolve(tsconfig.pathsBase, target.replace(/\$/g, '$$$$')).replace('*', '$1')
+            )
+        });
+    }
+    return result;
+}
+
+/**
+ * Подставляет первый подходящий псевдоним в спецификатор
+ * @param {Object[]} aliases - Псевдонимы из normalizeAlias()
+ * @param {string} specifier - Спецификатор импорта без суффикса запроса
+ * @returns {string[]} Варианты пути в порядке проверки; пустой массив, если псевдоним не подошёл
+ */
+
+export function applyAlias(aliases = [], specifier) {
+    for (const { find, replacements } of aliases) {
+        if (!find.test(specifier)) continue;
+        return replacements.map(replacement => specifier.replace(find, replacement));
+    }
+    return [];
+}
+
+/**
+ * Читает baseUrl и paths из tsconfig.json или jsconfig.json, учитывая относительный extends
+ * @param {string|false} [file] - Путь к файлу; по умолчанию tsconfig.json или jsconfig.json
+ *        в текущем каталоге, false отключает чтение
+ * @returns {{baseUrl: string|null, paths: Object|null, pathsBase: string}|null} Абсолютный baseUrl,
+ *          paths и каталог, от которого отсчитываются их цели; null, если файла нет
+ * @throws {Error} Если явно указанный файл не найден или не разбирается
+ */
+
+export function loadTsconfig(file) {
+    if (file === false) return null;
+
+    const configFile = file
+        ? path.resolve(file)
+        : ['tsconfig.json', 'jsconfig.json'].map(name => path.resolve(name)).find(name => fs.existsSync(name));
+    if (!configFile) return null;
+
+    const options = readCompilerOptions(configFile, new Set());
+    if (!options.baseUrl && !options.paths) return null;
+
+    return {
+        baseUrl: options.baseUrl ?? null,
+        paths: options.paths ?? null,
+        // Без baseUrl цели paths отсчитываются от файла, где paths объявлены
+        pathsBase: options.baseUrl ?? options.pathsDir
+    };
+}
+
+// compilerOptions с учётом extends: поля дочернего файла переопределяют родительские,
+// baseUrl и paths приводятся к каталогу файла, в котором записаны
+function readCompilerOptions(configFile, visited) {
+    if (visited.has(configFile)) {
+        throw new Error(`Circular "extends" in ${configFile}`);
+    }
+    visited.add(configFile);
+
+    let config;
+    try {
+        config = JSON.parse(stripJSONComments(fs.readFileSync(configFile, 'utf8')));
+    } catch (error) {
+        throw new Error(`Failed to read ${configFile}: ${error.message}`);
+    }
+
+    const dir = path.dirname(configFile);
+    let options = {};
+
+    // Наследуются только относительные extends: конфиги из пакетов на псевдонимы проекта не влияют
+    for (const parent of [].concat(config.extends || [])) {
+        if (!parent.startsWith('.')) continue;
+        const parentFile = path.resolve(dir, parent.endsWith('.json') ? parent : `${parent}.json`);
+        options = { ...options, ...readCompilerOptions(parentFile, visited) };
+    }
+
+    const { baseUrl, paths } = config.compilerOptions || {};
+    if (baseUrl !== undefined) options.baseUrl = path.resolve(dir, baseUrl);
+    if (paths !== undefined) {
+        options.paths = paths;
+        options.pathsDir = dir;
+    }
+    return options;
+}
+
+// tsconfig допускает комментарии и висячие запятые
+function stripJSONComments(text) {
+    let result = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+
+        if (char === '"') {
+            const end = findStringEnd(text, index);
+            result += text.slice(index, end);
+            index = end;
+        } else if (char === '/' && text[index + 1] === '/') {
+            while (index < text.length && text[index] !== '\n') index++;
+        } else if (char === '/' && text[index + 1] === '*') {
+            const end = text.indexOf('*/', index + 2);
+            index = end === -1 ? text.length : end + 2;
+        } else {
+            result += char;
+            index++;
+        }
+    }
+
+    return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+function findStringEnd(text, start) {
+    let index = start + 1;
+    while (index < text.length && text[index] !== '"') {
+        index += text[index] === '\\' ? 2 : 1;
+    }
+    return index + 1;
+}
+
+// Относительная замена - путь от текущего каталога, остальные (имена пакетов) остаются как есть
+function resolveReplacement(replacement) {
+    return replacement.startsWith('.') ? path.resolve(replacement) : replacement;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,224 @@
+import { parseSync } from "@swc/core";
+import path from "node:path";
+
+/**
+ * Подбирает настройки парсера SWC по расширению файла
+ * @param {string} filename - Имя файла
+ * @returns {Object} Настройки парсера
+ */
+
+export function getParserOptions(filename = '') {
+    const ext = path.extname(filename);
+
+    if (['.ts', '.mts', '.cts', '.tsx'].includes(ext)) {
+        return { syntax: 'typescript', tsx: ext === '.tsx' };
+    }
+
+    return { syntax: 'ecmascript', jsx: ext === '.jsx' };
+}
+
+/**
+ * Разбирает модуль в AST
+ * @param {string} code - Исходный код
+ * @param {string} [filename] - Имя файла (для выбора синтаксиса)
+ * @returns {{ast: Object, offset: number}} AST и базовое смещение позиций SWC
+ */
+
+export function parseModule(code, filename = '') {
+    // SWC нумерует позиции сквозным счётчиком по всем разобранным файлам.
+    // Пустой разбор прямо перед основным даёт базу для текущего файла
+    const offset = parseSync('', { syntax: 'ecmascript' }).span.end + 1;
+    const ast = parseSync(code, {
+        ...getParserOptions(filename),
+        target: 'es2022',
+        comments: false
+    });
+
+    return { ast, offset };
+}
+
+/**
+ * Рекурсивно обходит AST SWC
+ * @param {Object} node - Узел AST
+ * @param {Function} visit - Колбэк (node, parent); false - не заходить внутрь узла
+ * @param {Object} [parent] - Родительский узел
+ */
+
+export function walk(node, visit, parent = null) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+        for (const child of node) walk(child, visit, parent);
+        return;
+    }
+
+    if (node.type && visit(node, parent) === false) return;
+
+    for (const key in node) {
+        if (key === 'span') continue;
+        const value = node[key];
+        if (value && typeof value === 'object') {
+            walk(value, visit, node.type ? node : parent);
+        }
+    }
+}
+
+/**
+ * Переводит позиции SWC (байтовые, со сдвигом) в индексы строки и строки/колонки
+ * @param {string} code - Исходный код
+ * @param {number} offset - Базовое смещение из parseModule
+ * @returns {{index: Function, location: Function}}
+ */
+
+export function createLocator(code, offset) {
+    const isAscii = Buffer.byteLength(code) === code.length;
+    let byteToIndex = null;
+
+    if (!isAscii) {
+        byteToIndex = new Uint32Array(Buffer.byteLength(code) + 1);
+        let byte = 0;
+        for (let i = 0; i < code.length; i++) {
+            const point = code.codePointAt(i);
+            const size = point < 0x80 ? 1 : point < 0x800 ? 2 : point < 0x10000 ? 3 : 4;
+            for (let b = 0; b < size; b++) byteToIndex[byte + b] = i;
+            byte += size;
+            if (size === 4) i++;
+        }
+        byteToIndex[byte] = code.length;
+    }
+
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code.charCodeAt(i) === 10) lineStarts.push(i + 1);
+    }
+
+    return {
+        index(pos) {
+            const byte = pos - offset;
+            return isAscii ? byte : byteToIndex[byte];
+        },
+
+        location(index) {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= index) low = mid;
+                else high = mid - 1;
+            }
+            return { line: low + 1, column: index - lineStarts[low] };
+        }
+    };
+}
+
+// Контексты, которые резолвер SWC проставляет идентификаторам при parseSync:
+// привязки верхнего уровня модуля и неразрешённые (глобальные) имена
+export const TOP_LEVEL_CTXT = 2;
+export const UNRESOLVED_CTXT = 1;
+
+/**
+ * Определяет формат модуля по AST
+ * @param {Object} ast - AST модуля
+ * @returns {'esm'|'cjs'} 'cjs' для модулей без import/export, использующих module/exports/require
+ */
+
+export function getModuleFormat(ast) {
+    const hasModuleSyntax = ast.body.some(item =>
+        item.type.startsWith('Import') || item.type.startsWith('Export')
+    );
+    if (hasModuleSyntax) return 'esm';
+
+    let usesImportMeta = false;
+    let usesCommonJS = false;
+    walk(ast, (node) => {
+        if (node.type === 'MetaProperty') {
+            usesImportMeta = true;
+        } else if (node.type === 'Identifier' && node.ctxt === UNRESOLVED_CTXT &&
+            ['module', 'exports', 'require'].includes(node.value)) {
+            usesCommonJS = true;
+        }
+    });
+
+    return usesCommonJS && !usesImportMeta ? 'cjs' : 'esm';
+}
+
+/**
+ * Находит имена экспортов CommonJS-модуля, как это делает Node для import из CommonJS:
+ * exports.x = ..., module.exports.x = ..., module.exports = { x } и Object.defineProperty(exports, 'x').
+ * Имена, которые появляются только при выполнении, не находятся
+ * @param {Object} ast - AST модуля
+ * @returns {Set<string>}
+ */
+
+export function getCommonJSExports(ast) {
+    const names = new Set();
+    const add = (name) => name && name !== '__esModule' && names.add(name);
+
+    walk(ast, (node) => {
+        if (node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'MemberExpression') {
+            if (isExportsObject(node.left.object)) {
+                add(getPropertyName(node.left.property));
+            } else if (isExportsObject(node.left) && node.right.type === 'ObjectExpression') {
+                for (const property of node.right.properties) {
+                    add(property.type === 'Identifier' ? property.value : property.key && getPropertyName(property.key));
+                }
+            }
+        } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+            node.callee.object.type === 'Identifier' && node.callee.object.value === 'Object' &&
+            getPropertyName(node.callee.property) === 'defineProperty' &&
+            node.arguments.length > 1 && isExportsObject(node.arguments[0].expression) &&
+            node.arguments[1].expression.type === 'StringLiteral') {
+            add(node.arguments[1].expression.value);
+        }
+    });
+    return names;
+}
+
+// exports или module.exports, а не локальная переменная с тем же именем
+function isExportsObject(node) {
+    if (node.type === 'Identifier') return node.value === 'exports' && node.ctxt === UNRESOLVED_CTXT;
+    return node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
+        node.object.value === 'module' && node.object.ctxt === UNRESOLVED_CTXT &&
+        getPropertyName(node.property) === 'exports';
+}
+
+// Имя свойства: obj.name, obj['name'] или ключ объекта; вычисляемые имена - null
+function getPropertyName(node) {
+    if (node.type === 'Identifier' || node.type === 'StringLiteral') return node.value;
+    if (node.type === 'Computed' && node.expression.type === 'StringLiteral') return node.expression.value;
+    return null;
+}
+
+/**
+ * Собирает имена, объявляемые паттерном (деструктуризация, значения по умолчанию, rest)
+ * @param {Object} pattern - Узел паттерна
+ * @param {string[]} [names] - Накопитель имён
+ * @returns {string[]}
+ */
+
+export function getPatternNames(pattern, names = []) {
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.value);
+            break;
+        case 'ArrayPattern':
+            for (const element of pattern.elements) {
+                if (element) getPatternNames(element, names);
+            }
+            break;
+        case 'ObjectPattern':
+            for (const prop of pattern.properties) {
+                if (prop.type === 'AssignmentPatternProperty') names.push(prop.key.value);
+                else if (prop.type === 'KeyValuePatternProperty') getPatternNames(prop.value, names);
+                else if (prop.type === 'RestElement') getPatternNames(prop.argument, names);
+            }
+            break;
+        case 'AssignmentPattern':
+            getPatternNames(pattern.left, names);
+            break;
+        case 'RestElement':
+            getPatternNames(pattern.argument, names);
+            break;
+    }
+    return names;
+}
@@ -0,0 +1,154 @@
+/**
+ * Постоянный кеш трансформированных модулей на диске: код, карта, импорты и
+ * разрешённые зависимости переживают перезапуск сборки. Ключ записи - путь файла,
+ * хеш его содержимого и хеш настроек, влияющих на трансформацию и разрешение
+ */
+
+import { createHash } from "node:crypto";
+import { createRequire } from "node:module";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { splitQuery } from "./module-script.js";
+import { ApiLogger, LogLevel } from '../../api/ApiLogger.js';
+
+const logger = new ApiLogger("JOLT-CACHE", LogLevel.DEBUG);
+const require = createRequire(import.meta.url);
+
+// Меняется при изменении формата записей или трансформации модулей
+const CACHE_VERSION = 4;
+const SWC_VERSION = require('@swc/core/package.json').version;
+const JOLT_VERSION = require('../../../package.json').version;
+
+export default class DiskCache {
+    #dir;
+    #maxSize;
+    #configHash;
+    #written = false;
+
+    /**
+     * @param {Object} config - Конфигурация сборки
+     * @param {string} config.cacheDir - Каталог кеша
+     * @param {number} config.cacheMaxSize - Предельный размер кеша в байтах
+     */
+
+    constructor(config) {
+        this.#dir = path.resolve(config.cacheDir);
+        this.#maxSize = config.cacheMaxSize;
+        this.#configHash = hash(JSON.stringify([
+            CACHE_VERSION,
+            SWC_VERSION,
+            JOLT_VERSION,
+            config.target,
+            !!config.sourcemaps,
+            config.minify,
+            config.platform,
+            config.conditions,
+            config.mainFields,
+            config.alias.map(({ find, replacements }) => [String(find), replacements]),
+            config.baseUrl,
+            config.external.map(String),
+            config.loader,
+            config.assetsDir,
+            config.publicPath,
+            config.define,
+            // Код плагинов не хешируется: изменивший поведение плагин меняет version
+            config.plugins.map(plugin => [plugin.name, plugin.version, plugin.enforce])
+        ]));
+    }
+
+    /**
+     * Возвращает узел графа из кеша, если содержимое файла и настройки не менялись
+     * @param {string} filePath - Путь к файлу
+     * @param {string} contentHash - Хеш содержимого файла
+     * @returns {Promise<Object|null>} Узел графа или null
+     */
+
+    async get(filePath, contentHash) {
+        const file = this.#getFile(filePath, contentHash);
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch {
+            return null;
+        }
+
+        // Зависимость могла быть удалена - тогда разрешение нужно выполнить заново
+        const exists = await Promise.all(entry.dependencies.map(dep =>
+            fs.access(splitQuery(dep)[0]).then(() => true, () => false)
+        ));
+        if (exists.includes(false)) return null;
+
+        // mtime служит отметкой последнего использования при вытеснении
+        const now = new Date();
+        await fs.utimes(file, now, now).catch(() => {});
+
+        return { path: filePath, ...entry };
+    }
+
+    /**
+     * Сохраняет узел графа
+     * @param {string} contentHash - Хеш содержимого файла
+     * @param {Object} node - Узел графа из processFile
+     */
+
+    async set(contentHash, node) {
+        const file = this.#getFile(node.path, contentHash);
+        const { path: _, ...entry } = node;
+
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            // Запись через временный файл: параллельная сборка не прочитает половину записи
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(entry));
+            await fs.rename(temp, file);
+            this.#written = true;
+        } catch (error) {
+            logger.warn(`Failed to write cache entry for ${node.path}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удаляет давно не использованные записи, пока кеш больше cacheMaxSize
+     */
+
+    async prune() {
+        if (!this.#written) return;
+        this.#written = false;
+
+        const files = [];
+        let total = 0;
+
+        for (const bucket of await fs.readdir(this.#dir).catch(() => [])) {
+            const bucketDir = path.join(this.#dir, bucket);
+            for (const name of await fs.readdir(bucketDir).catch(() => [])) {
+                const file = path.join(bucketDir, name);
+                const stat = await fs.stat(file).catch(() => null);
+                if (!stat?.isFile()) continue;
+                files.push({ file, size: stat.size, mtime: stat.mtimeMs });
+                total += stat.size;
+            }
+        }
+
+        if (total <= this.#maxSize) return;
+
+        files.sort((a, b) => a.mtime - b.mtime);
+        let removed = 0;
+        for (const { file, size } of files) {
+            if (total <= this.#maxSize) break;
+            await fs.rm(file, { force: true });
+            total -= size;
+            removed++;
+        }
+        logger.debug(`Cache pruned: ${removed} entries removed`);
+    }
+
+    #getFile(filePath, contentHash) {
+        const key = hash(`${this.#configHash}\0${filePath}\0${contentHash}`);
+        return path.join(this.#dir, key.slice(0, 2), `${key}.json`);
+    }
+}
+
+function hash(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
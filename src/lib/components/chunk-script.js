@@ -0,0 +1,271 @@
+/**
+ * Делит граф модулей на чанки: по одному на каждую entry-точку и цель import(),
+ * модули, нужные нескольким точкам входа, выносятся в общие чанки
+ * @param {Object[]} modules - Массив модулей графа
+ * @param {string|string[]} entryPaths - Путь(и) к entry-файлам
+ * @param {Object} [options] - Настройки разбиения
+ * @param {{name: string, test: RegExp}|null} [options.vendor] - Группа, в которую попадает код
+ *        из node_modules, нужный entry-точкам, вместе с его статическими зависимостями
+ * @returns {{chunks: Object[], chunkOf: Map<string, Object>, dynamicImports: Map<string, Object[]>}}
+ *
+ * chunks - { name, kind: 'entry' | 'dynamic' | 'shared', entryPath, modules } с модулями
+ *          в порядке выполнения
+ * chunkOf - путь модуля -> чанк
+ * dynamicImports - цель import() -> чанки, которые нужно загрузить перед её выполнением
+ *                  (без чанков, которые к этому моменту гарантированно загружены)
+ */
+
+import path from "node:path";
+
+export default function buildChunks(modules, entryPaths, options = {}) {
+    const graph = new Map(modules.map(mod => [mod.path, mod]));
+    const entries = [].concat(entryPaths).map(entry => path.resolve(entry));
+
+    // Все цели import() в графе, в порядке обнаружения
+    const dynamicTargets = [];
+    for (const mod of modules) {
+        for (const target of getDependencies(mod, true)) {
+            if (!dynamicTargets.includes(target) && graph.has(target)) dynamicTargets.push(target);
+        }
+    }
+
+    const order = getExecutionOrder(graph, [...entries, ...dynamicTargets]);
+    const staticClosures = new Map(
+        [...entries, ...dynamicTargets].map(start => [start, collectModules(graph, start, false)])
+    );
+
+    // Модули, которые уже загружены к моменту любого вызова import(target):
+    // это пересечение статических замыканий всех entry, из которых target достижим
+    const alreadyLoaded = new Map();
+    for (const target of dynamicTargets) {
+        let loaded = null;
+        for (const entry of entries) {
+            if (!collectModules(graph, entry, true).has(target)) continue;
+            const closure = staticClosures.get(entry);
+            loaded = loaded
+                ? new Set([...loaded].filter(modulePath => closure.has(modulePath)))
+                : new Set(closure);
+        }
+        alreadyLoaded.set(target, loaded || new Set());
+    }
+
+    // Для каждого модуля собираем множество точек входа, которым он нужен
+    const owners = new Map();
+    for (const [start, closure] of staticClosures) {
+        const loaded = entries.includes(start) ? new Set() : alreadyLoaded.get(start);
+
+        for (const modulePath of closure) {
+            if (loaded.has(modulePath)) continue;
+            if (!owners.has(modulePath)) owners.set(modulePath, new Set());
+            owners.get(modulePath).add(start);
+        }
+    }
+
+    // Код node_modules, нужный хотя бы одной entry-точке, собирается в один чанк vendor
+    const vendor = options.vendor
+        ? collectVendor(graph, order.filter(modulePath =>
+            [...owners.get(modulePath) || []].some(owner => entries.includes(owner))
+        ), options.vendor)
+        : new Set();
+    const vendorKey = '\0vendor';
+
+    // Модули с одинаковым набором владельцев попадают в один чанк
+    const groups = new Map(entries.map(entry => [entry, { owners: [entry], modules: [] }]));
+    for (const modulePath of order) {
+        const moduleOwners = [...owners.get(modulePath) || []];
+        const key = vendor.has(modulePath) ? vendorKey : moduleOwners.sort().join('|');
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, { owners: [], modules: [] });
+        const group = groups.get(key);
+        group.owners = [...new Set([...group.owners, ...moduleOwners])];
+        group.modules.push(modulePath);
+    }
+
+    const usedNames = new Set();
+    const chunks = [];
+    const chunkOf = new Map();
+
+    for (const [key, group] of groups) {
+        const [owner] = group.owners;
+        const kind = group.owners.length > 1 || key === vendorKey
+            ? 'shared'
+            : entries.includes(owner) ? 'entry' : 'dynamic';
+
+        const chunk = {
+            name: getChunkName(kind === 'shared' ? null : owner, usedNames, key === vendorKey ? options.vendor.name : 'shared'),
+            kind,
+            entryPath: kind === 'shared' ? null : owner,
+            owners: group.owners,
+            modules: group.modules.map(modulePath => graph.get(modulePath))
+        };
+
+        chunks.push(chunk);
+        for (const modulePath of group.modules) chunkOf.set(modulePath, chunk);
+    }
+
+    const dynamicImports = new Map();
+    for (const target of dynamicTargets) {
+        dynamicImports.set(target, chunks.filter(chunk => chunk.owners.includes(target)));
+    }
+
+    return { chunks, chunkOf, dynamicImports };
+}
+
+/**
+ * Выносит модули, нужные нескольким entry-точкам, в общие чанки. Нужен IIFE-бандлам, которые
+ * собираются по одному на entry-точку: без общих чанков такой модуль копируется в каждый бандл
+ * @param {Object[]} modules - Модули всех entry-точек: общий модуль выполняется с этим кодом в каждой из них
+ * @param {string[]} entryPaths - Пути к entry-файлам
+ * @param {Object} options - Настройки разбиения
+ * @param {number} options.minSize - Минимальный размер кода группы в байтах
+ * @param {number} options.minEntries - Минимальное число entry-точек, которым нужен модуль
+ * @param {{name: string, test: RegExp}|null} options.vendor - Группа для кода из node_modules
+ * @returns {{name: string, owners: string[], paths: string[]}[]} Общие чанки: entry-точки,
+ *          которым они нужны, и пути модулей в порядке выполнения
+ */
+
+export function planSharedChunks(modules, entryPaths, options) {
+    const graph = new Map(modules.map(mod => [mod.path, mod]));
+    const entries = entryPaths.map(entry => path.resolve(entry));
+    const order = getExecutionOrder(graph, entries);
+
+    // Владельцы - entry-точки, которым модуль нужен при запуске; модули import() остаются в их чанках
+    const owners = new Map();
+    for (const entry of entries) {
+        for (const modulePath of collectModules(graph, entry, false)) {
+            if (!owners.has(modulePath)) owners.set(modulePath, new Set());
+            owners.get(modulePath).add(entry);
+        }
+    }
+
+    const vendor = options.vendor ? collectVendor(graph, order, options.vendor) : new Set();
+
+    // Модули с одинаковым набором владельцев образуют группу
+    const groups = new Map();
+    const groupOf = new Map();
+    for (const modulePath of order) {
+        // Entry-модуль остаётся в своём бандле, даже если его импортирует другая entry-точка
+        if (vendor.has(modulePath) || entries.includes(modulePath) || owners.get(modulePath).size < 2) continue;
+        const key = [...owners.get(modulePath)].sort().join('|');
+        if (!groups.has(key)) groups.set(key, { owners: [...owners.get(modulePath)].sort(), paths: [], size: 0 });
+        const group = groups.get(key);
+        group.paths.push(modulePath);
+        group.size += Buffer.byteLength(graph.get(modulePath).code || '');
+        groupOf.set(modulePath, group);
+    }
+
+    const kept = new Set([...groups.values()].filter(group =>
+        group.owners.length >= options.minEntries && group.size >= options.minSize
+    ));
+
+    // Модуль общего чанка загружается раньше бандла entry-точки, поэтому его зависимости
+    // тоже должны лежать в общих чанках, даже если их группа меньше порогов
+    const stack = [...vendor, ...[...kept].flatMap(group => group.paths)];
+    while (stack.length > 0) {
+        for (const dep of getDependencies(graph.get(stack.pop()), false)) {
+            const group = groupOf.get(dep);
+            if (!group || kept.has(group)) continue;
+            kept.add(group);
+            stack.push(...group.paths);
+        }
+    }
+
+    const usedNames = new Set(entries.map(entry => getChunkName(entry, new Set())));
+    const chunks = [...groups.values()]
+        .filter(group => kept.has(group))
+        .map(group => ({ name: getChunkName(null, usedNames), owners: group.owners, paths: group.paths }));
+
+    if (vendor.size) {
+        chunks.unshift({
+            name: getChunkName(null, usedNames, options.vendor.name),
+            owners: entries.filter(entry => [...vendor].some(modulePath => owners.get(modulePath).has(entry))),
+            paths: order.filter(modulePath => vendor.has(modulePath))
+        });
+    }
+    return chunks;
+}
+
+/**
+ * Возвращает пути зависимостей модуля
+ * @param {Object} mod - Модуль графа
+ * @param {boolean} dynamic - true - только цели import(), false - только статические
+ * @returns {string[]}
+ */
+
+export function getDependencies(mod, dynamic) {
+    const result = [];
+    for (const record of mod.imports || []) {
+        if ((record.kind === 'dynamic-import') !== dynamic) continue;
+
+        const resolved = mod.resolved?.[record.specifier];
+        if (resolved && !result.includes(resolved)) result.push(resolved);
+    }
+    return result;
+}
+
+/**
+ * Порядок выполнения модулей: обход в глубину по статическим импортам
+ * в порядке их следования в коде, зависимости раньше зависимых
+ * @param {Map<string, Object>} graph - Граф модулей
+ * @param {string[]} roots - Точки входа
+ * @returns {string[]}
+ */
+
+export function getExecutionOrder(graph, roots) {
+    const order = [];
+    const visited = new Set();
+
+    const visit = (modulePath) => {
+        if (visited.has(modulePath) || !graph.has(modulePath)) return;
+        visited.add(modulePath);
+        for (const dep of getDependencies(graph.get(modulePath), false)) visit(dep);
+        order.push(modulePath);
+    };
+
+    for (const root of roots) visit(root);
+    return order;
+}
+
+function collectModules(graph, startPath, includeDynamic) {
+    const visited = new Set();
+    const stack = [startPath];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (visited.has(current) || !graph.has(current)) continue;
+        visited.add(current);
+
+        const mod = graph.get(current);
+        stack.push(...getDependencies(mod, false));
+        if (includeDynamic) stack.push(...getDependencies(mod, true));
+    }
+
+    return visited;
+}
+
+// Модули группы vendor и все их статические зависимости: код пакетов не должен ждать модули вне группы
+function collectVendor(graph, modulePaths, vendor) {
+    const result = new Set();
+    const stack = modulePaths.filter(modulePath => vendor.test.test(modulePath));
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (result.has(current) || !graph.has(current)) continue;
+        result.add(current);
+        stack.push(...getDependencies(graph.get(current), false));
+    }
+    return result;
+}
+
+function getChunkName(owner, usedNames, fallback = 'shared') {
+    const base = owner
+        ? path.basename(owner, path.extname(owner)).replace(/[^\w-]/g, '_')
+        : fallback;
+
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) {
+        name = `${base}-${i}`;
+    }
+    usedNames.add(name);
+    return name;
+}
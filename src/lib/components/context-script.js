@@ -0,0 +1,150 @@
+/**
+ * Контекст плагина - this в его хуках: emitFile, addWatchFile, warn/error с местом в файле
+ * и getModuleInfo по графу. Свойства и методы самого плагина доступны через прототип
+ * @param {Object} plugin - Плагин
+ * @param {Object} state - Состояние сборки, общее для хуков
+ * @param {Object} state.config - Конфигурация сборки
+ * @param {Map} [state.graph] - Граф модулей
+ * @param {Object[]} [state.emitted] - Файлы emitFile: { type: 'asset', fileName, source } или { type: 'chunk', id }
+ * @param {Set<string>} [state.watchFiles] - Файлы addWatchFile
+ * @param {Map} [state.fileNames] - Идентификатор emitFile чанка -> имя записанного файла
+ * @param {string} [state.hook] - Вызываемый хук
+ * @param {string} [state.id] - Модуль, который обрабатывает хук
+ * @param {string} [state.code] - Код, к которому относятся позиции warn/error
+ * @returns {Object} Контекст
+ */
+
+import path from "node:path";
+import { generateHashedFileName } from "../../utils/hash-utils.js";
+import { ApiLogger, LogLevel } from '../../api/ApiLogger.js';
+
+const logger = new ApiLogger("JOLT-PLUGIN", LogLevel.DEBUG);
+
+export default function createPluginContext(plugin, state) {
+    const name = plugin.name || 'unnamed-plugin';
+
+    return Object.assign(Object.create(plugin), {
+        /**
+         * Добавляет файл в сборку: ассет пишется рядом с бандлом, чанк (только в buildStart)
+         * собирается как ещё одна entry-точка
+         * @param {Object} file - { type: 'asset', name | fileName, source } или { type: 'chunk', id }
+         * @returns {string} Идентификатор для getFileName
+         */
+        emitFile(file) {
+            if (!state.emitted) this.error(`emitFile is not available in ${state.hook}`);
+
+            if (file.type === 'chunk') {
+                if (state.hook !== 'buildStart') this.error('Chunks can only be emitted in buildStart');
+                state.emitted.push({ type: 'chunk', id: path.resolve(file.id) });
+                return `chunk:${path.resolve(file.id)}`;
+            }
+            if (file.type !== 'asset') this.error(`Unknown emitted file type "${file.type}": expected 'asset' or 'chunk'`);
+            if (file.source === undefined) this.error('Emitted asset requires source');
+
+            // Двоичное содержимое хранится в base64: узел графа с ассетом попадает в кеш на диске
+            const binary = typeof file.source !== 'string';
+            const source = binary ? Buffer.from(file.source).toString('base64') : file.source;
+            // Без fileName имя получает хеш содержимого, как у бандлов; по name удаляются старые версии
+            const name = file.fileName ? null : file.name || 'asset';
+            const fileName = file.fileName || generateHashedFileName(name, binary ? Buffer.from(file.source) : file.source);
+            state.emitted.push({ type: 'asset', fileName, name, source, encoding: binary ? 'base64' : 'utf8' });
+            return fileName;
+        },
+
+        /**
+         * @param {string} referenceId - Результат emitFile
+         * @returns {string} Имя файла относительно каталога бандла
+         */
+        getFileName(referenceId) {
+            if (!referenceId.startsWith('chunk:')) return referenceId;
+
+            const fileName = state.fileNames?.get(referenceId);
+            if (!fileName) this.error(`File name of ${referenceId} is not known yet: emitted chunks are written after generateBundle`);
+            return fileName;
+        },
+
+        /**
+         * Изменение файла вызывает пересборку: в хуках модуля - обработку модуля заново
+         * @param {string} file - Путь к файлу
+         */
+        addWatchFile(file) {
+            if (!state.watchFiles) this.error(`addWatchFile is not available in ${state.hook}`);
+            state.watchFiles.add(path.resolve(file));
+        },
+
+        /**
+         * @param {string} message - Текст предупреждения
+         * @param {number|{line: number, column: number}} [pos] - Смещение в коде или строка и колонка
+         */
+        warn(message, pos) {
+            logger.warn(formatMessage(name, state, message, getLocation(state.code, pos)));
+        },
+
+        /**
+         * Прерывает сборку ошибкой с именем плагина и местом в файле
+         * @param {string|Error} message - Текст или ошибка
+         * @param {number|{line: number, column: number}} [pos] - Смещение в коде или строка и колонка
+         * @throws {Error} Всегда
+         */
+        error(message, pos) {
+            const error = message instanceof Error ? message : new Error(message);
+            const loc = getLocation(state.code, pos);
+            error.message = formatMessage(name, state, error.message, loc);
+            throw Object.assign(error, { plugin: name, hook: state.hook, id: state.id, loc });
+        },
+
+        /**
+         * @param {string} id - Путь модуля
+         * @returns {Object|null} Сведения о модуле из графа или null, если он ещё не обработан
+         */
+        getModuleInfo(id) {
+            const node = state.graph?.get(id);
+            if (!node) return null;
+
+            return {
+                id,
+                code: node.source,
+                importedIds: node.dependencies.filter(dep => !isDynamic(node, dep)),
+                dynamicallyImportedIds: node.dependencies.filter(dep => isDynamic(node, dep)),
+                importers: [...state.graph.values()].filter(mod => mod.dependencies.includes(id)).map(mod => mod.path),
+                assets: node.assets,
+                isExternal: false
+            };
+        },
+
+        /**
+         * @returns {string[]} Пути модулей графа
+         */
+        getModuleIds() {
+            return [...state.graph?.keys() || []];
+        }
+    });
+}
+
+/**
+ * Сообщение с именем плагина и местом в файле
+ * @param {string} name - Имя плагина
+ * @param {Object} state - Состояние хука
+ * @param {string} message - Текст
+ * @param {{line: number, column: number}} [loc] - Место в файле
+ * @returns {string}
+ */
+
+export function formatMessage(name, state, message, loc) {
+    const where = state.id ? ` (${state.id}${loc ? `:${loc.line}:${loc.column}` : ''})` : '';
+    return `[plugin ${name}] ${state.hook ? `${state.hook}: ` : ''}${message}${where}`;
+}
+
+function getLocation(code, pos) {
+    if (pos === undefined || pos === null) return null;
+    if (typeof pos === 'object') return { line: pos.line, column: pos.column };
+    if (typeof code !== 'string') return null;
+
+    const before = code.slice(0, pos).split('\n');
+    return { line: before.length, column: before[before.length - 1].length };
+}
+
+function isDynamic(node, dep) {
+    return (node.imports || []).some(record => record.kind === 'dynamic-import' && node.resolved?.[record.specifier] === dep) &&
+        !(node.imports || []).some(record => record.kind !== 'dynamic-import' && node.resolved?.[record.specifier] === dep);
+}
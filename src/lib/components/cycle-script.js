@@ -0,0 +1,126 @@
+/**
+ * Находит циклические зависимости между модулями графа и сообщает о них
+ * согласно config.circular: предупреждение, ошибка сборки или разрешённый список.
+ * Вызывается один раз за сборку на общем графе всех entry-точек и воркеров
+ * @param {Object} config - Конфигурация сборки
+ * @param {Object[]} modules - Модули графа
+ * @param {string[]} entryPaths - Пути к entry-файлам
+ * @param {Set<string>} [reported] - Ключи циклов, о которых уже предупредила прошлая сборка
+ * @returns {Set<string>} Ключи найденных неразрешённых циклов
+ * @throws {Error} Если config.circular.mode === 'error' и найден неразрешённый цикл
+ */
+
+import path from "node:path";
+import { minimatch } from "minimatch";
+import { getDependencies } from "./chunk-script.js";
+import { toDisplayPath } from "./utils-script.js";
+import { ApiLogger, LogLevel } from '../../api/ApiLogger.js';
+
+const logger = new ApiLogger("JOLT-GRAPH", LogLevel.DEBUG);
+
+export default function checkCycles(config, modules, entryPaths, reported = new Set()) {
+    const { mode, allow } = config.circular;
+    if (mode === 'ignore') return new Set();
+
+    const cycles = findCycles(modules, entryPaths.map(entryPath => path.resolve(entryPath)))
+        .filter(cycle => !isAllowed(cycle, allow));
+    const keys = new Set(cycles.map(getCycleKey));
+    const graph = new Map(modules.map(mod => [mod.path, mod]));
+
+    if (mode === 'error' && cycles.length) {
+        const report = cycles.map(cycle => formatCycle(cycle, graph)).join('\n\n');
+        throw new Error(`Found ${cycles.length} circular ${cycles.length === 1 ? 'dependency' : 'dependencies'}:\n\n${report}`);
+    }
+
+    // Пересборка предупреждает только о новых циклах
+    const newCycles = cycles.filter(cycle => !reported.has(getCycleKey(cycle)));
+    if (newCycles.length) logger.warn(newCycles.map(cycle => formatCycle(cycle, graph)).join('\n\n'));
+    return keys;
+}
+
+/**
+ * Обход в глубину по статическим импортам: каждое ребро в модуль, который ещё
+ * на стеке обхода, замыкает цикл. import() не учитывается - он не выполняет
+ * модуль до завершения инициализации импортирующего
+ * @param {Object[]} modules - Модули графа
+ * @param {string[]} entryPaths - Абсолютные пути к entry-файлам, с которых начинается обход
+ * @returns {string[][]} Циклы без повторов: пути модулей от первого до последнего перед возвратом
+ */
+
+export function findCycles(modules, entryPaths) {
+    const graph = new Map(modules.map(mod => [mod.path, mod]));
+    const cycles = new Map();
+    const visited = new Set();
+    const stack = [];
+    const onStack = new Set();
+
+    const visit = (modulePath) => {
+        visited.add(modulePath);
+        stack.push(modulePath);
+        onStack.add(modulePath);
+
+        for (const dep of getDependencies(graph.get(modulePath), false)) {
+            if (!graph.has(dep)) continue;
+
+            if (onStack.has(dep)) {
+                const cycle = stack.slice(stack.indexOf(dep));
+                const key = getCycleKey(cycle);
+                if (!cycles.has(key)) cycles.set(key, cycle);
+            } else if (!visited.has(dep)) {
+                visit(dep);
+            }
+        }
+
+        stack.pop();
+        onStack.delete(modulePath);
+    };
+
+    const roots = [...entryPaths.filter(entryPath => graph.has(entryPath)), ...graph.keys()];
+    for (const root of roots) {
+        if (!visited.has(root)) visit(root);
+    }
+
+    return [...cycles.values()];
+}
+
+// Один и тот же цикл, найденный с разных модулей, даёт одинаковый ключ
+function getCycleKey(cycle) {
+    const start = cycle.indexOf([...cycle].sort()[0]);
+    return [...cycle.slice(start), ...cycle.slice(0, start)].join('\n');
+}
+
+/**
+ * Элемент allow: массив путей - конкретный цикл; строка с ' -> ' - цикл в формате отчёта;
+ * остальные строки - glob, которому должны соответствовать все модули цикла
+ */
+
+function isAllowed(cycle, allow) {
+    const relative = cycle.map(modulePath => toDisplayPath(modulePath));
+    const key = getCycleKey(relative);
+
+    return allow.some(entry => {
+        if (Array.isArray(entry) || entry.includes(' -> ')) {
+            const paths = (Array.isArray(entry) ? entry : entry.split(' -> '))
+                .map(item => toDisplayPath(path.resolve(item.trim())));
+            // Формат отчёта повторяет первый модуль в конце
+            if (paths.length > 1 && paths[0] === paths[paths.length - 1]) paths.pop();
+            return getCycleKey(paths) === key;
+        }
+        return relative.every(modulePath => minimatch(modulePath, entry, { dot: true }));
+    });
+}
+
+function formatCycle(cycle, graph) {
+    const chain = [...cycle, cycle[0]].map(modulePath => toDisplayPath(modulePath)).join(' -> ');
+    const steps = cycle.map((modulePath, index) => {
+        const next = cycle[(index + 1) % cycle.length];
+        const mod = graph.get(modulePath);
+        const record = (mod.imports || []).find(item =>
+            item.kind !== 'dynamic-import' && mod.resolved?.[item.specifier] === next
+        );
+        const location = record ? `:${record.loc.line}:${record.loc.column}` : '';
+        return `    ${toDisplayPath(modulePath)}${location} imports '${record?.specifier ?? toDisplayPath(next)}'`;
+    });
+
+    return `Circular dependency: ${chain}\n${steps.join('\n')}`;
+}
@@ -0,0 +1,156 @@
+/**
+ * Подставляет значения config.define в исходник модуля и удаляет ветки if и ?:,
+ * условие которых после подстановки стало константой. Удалённый код заменяется
+ * пустыми строками, поэтому номера строк и sourcemap модуля не смещаются
+ * @param {Object} config - Конфигурация сборки (define: выражение -> код замены)
+ * @param {string} filePath - Путь к файлу (для выбора синтаксиса)
+ * @param {string} code - Исходный код
+ * @returns {string} Код с подстановками
+ */
+
+import { parseModule, walk, createLocator, UNRESOLVED_CTXT } from "./ast-script.js";
+import { applyEdits } from "./link-script.js";
+
+// Значение, которое не удалось вычислить на этапе сборки
+const UNKNOWN = Symbol('unknown');
+
+export default function applyDefines(config, filePath, code) {
+    const keys = Object.keys(config.define);
+    // Быстрая проверка без разбора: большинство модулей не содержит ни одного ключа
+    if (!keys.some(key => code.includes(key.split('.').pop()))) return code;
+
+    const replaced = replaceDefines(config.define, filePath, code);
+    return replaced === code ? code : removeDeadBranches(filePath, replaced);
+}
+
+function replaceDefines(define, filePath, code) {
+    const { ast, offset } = parseModule(code, filePath);
+    const locator = createLocator(code, offset);
+    const edits = [];
+
+    walk(ast, (node, parent) => {
+        if (node.type !== 'MemberExpression' && node.type !== 'Identifier') return;
+        // Присваивание process.env.X = ... остаётся как есть
+        if (parent?.type === 'AssignmentExpression' && parent.left === node) return false;
+
+        const name = getDefineName(node);
+        if (name === null || !Object.hasOwn(define, name)) return;
+
+        const value = isSimpleValue(define[name]) ? define[name] : `(${define[name]})`;
+        edits.push({
+            start: locator.index(node.span.start),
+            end: locator.index(node.span.end),
+            // Сокращённое свойство { APP_VERSION } становится { APP_VERSION: значение }
+            text: parent?.type === 'ObjectExpression' ? `${name}: ${value}` : value
+        });
+        return false;
+    });
+
+    return edits.length ? applyEdits(code, edits) : code;
+}
+
+// 'process.env.NODE_ENV' для цепочки из неразрешённого глобального имени или import.meta
+function getDefineName(node) {
+    if (node.type === 'Identifier') {
+        return node.ctxt === UNRESOLVED_CTXT ? node.value : null;
+    }
+    if (node.type === 'MetaProperty') {
+        return node.kind === 'import.meta' ? 'import.meta' : null;
+    }
+    if (node.type !== 'MemberExpression') return null;
+
+    const object = getDefineName(node.object);
+    if (object === null) return null;
+
+    const { property } = node;
+    if (property.type === 'Identifier') return `${object}.${property.value}`;
+    if (property.type === 'Computed' && property.expression.type === 'StringLiteral') {
+        return `${object}.${property.expression.value}`;
+    }
+    return null;
+}
+
+function isSimpleValue(value) {
+    return /^[\w$.]+$/.test(value) || /^"(?:[^"\\]|\\.)*"$/.test(value);
+}
+
+function removeDeadBranches(filePath, code) {
+    const { ast, offset } = parseModule(code, filePath);
+    const locator = createLocator(code, offset);
+    const range = (node) => [locator.index(node.span.start), locator.index(node.span.end)];
+    const blank = (start, end) => code.slice(start, end).replace(/[^\n]/g, '');
+    const edits = [];
+
+    const visit = (node) => {
+        if (node.type !== 'IfStatement' && node.type !== 'ConditionalExpression') return;
+
+        const test = evaluate(node.test);
+        if (test === UNKNOWN) return;
+
+        const [start, end] = range(node);
+        const kept = test ? node.consequent : node.alternate;
+
+        if (!kept) {
+            // Пустая инструкция: if может стоять на месте else или тела другого if
+            edits.push({ start, end, text: blank(start, end) + ';' });
+            return false;
+        }
+
+        // Оставшаяся ветка обходится дальше: в ней могут быть свои константные условия
+        const [keptStart, keptEnd] = range(kept);
+        const wrap = node.type === 'ConditionalExpression';
+        edits.push({ start, end: keptStart, text: (wrap ? '(' : '') + blank(start, keptStart) });
+        edits.push({ start: keptEnd, end, text: blank(keptEnd, end) + (wrap ? ')' : '') });
+        walk(kept, visit);
+        return false;
+    };
+    walk(ast, visit);
+
+    if (!edits.length) return code;
+    edits.sort((a, b) => a.start - b.start);
+    return applyEdits(code, edits);
+}
+
+function evaluate(node) {
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'NullLiteral':
+            return null;
+        case 'Identifier':
+            return node.value === 'undefined' && node.ctxt === UNRESOLVED_CTXT ? undefined : UNKNOWN;
+        case 'ParenthesisExpression':
+            return evaluate(node.expression);
+        case 'UnaryExpression': {
+            const argument = evaluate(node.argument);
+            if (argument === UNKNOWN) return UNKNOWN;
+            if (node.operator === '!') return !argument;
+            if (node.operator === 'typeof') return typeof argument;
+            if (node.operator === 'void') return undefined;
+            return UNKNOWN;
+        }
+        case 'BinaryExpression': {
+            const left = evaluate(node.left);
+            if (left === UNKNOWN) return UNKNOWN;
+            // Для && и || хватает левой части, если она определяет результат
+            if (node.operator === '&&' && !left) return left;
+            if (node.operator === '||' && left) return left;
+            const right = evaluate(node.right);
+            if (right === UNKNOWN) return UNKNOWN;
+            switch (node.operator) {
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '&&': return right;
+                case '||': return right;
+                case '??': return left ?? right;
+                default: return UNKNOWN;
+            }
+        }
+        default:
+            return UNKNOWN;
+    }
+}
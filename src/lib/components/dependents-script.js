@@ -0,0 +1,123 @@
+/**
+ * Обратный индекс графа модулей: кто импортирует модуль и какие узлы зависят от файла.
+ * По изменённым файлам определяет, какие модули трансформировать заново, а каким
+ * только заново разрешить импорты, не обходя весь граф
+ */
+
+import path from "node:path";
+import { splitQuery } from "./module-script.js";
+import { getGlobDirs } from "./glob-script.js";
+
+export default class DependentsIndex {
+    #nodes = new Map();       // путь модуля -> проиндексированный узел
+    #importers = new Map();   // путь модуля -> модули, которые его импортируют
+    #owners = new Map();      // файл -> узлы, чей результат зависит от его содержимого
+    #dirs = new Map();        // каталог -> модули из него
+    #globNodes = new Set();   // модули с import.meta.glob
+
+    /**
+     * Обновляет индекс по модулям сборки: переиндексируются только узлы, которые изменились
+     * @param {Object[]} modules - Узлы графа
+     */
+
+    update(modules) {
+        for (const node of modules) {
+            const previous = this.#nodes.get(node.path);
+            if (previous === node) continue;
+            if (previous) this.remove(node.path);
+
+            this.#nodes.set(node.path, node);
+            const sourcePath = splitQuery(node.path)[0];
+            add(this.#owners, sourcePath, node.path);
+            add(this.#dirs, path.dirname(sourcePath), node.path);
+            for (const dep of node.dependencies) add(this.#importers, dep, node.path);
+            for (const file of Object.keys(node.fileDependencies || {})) add(this.#owners, file, node.path);
+            if (node.globs?.length) this.#globNodes.add(node.path);
+        }
+    }
+
+    /**
+     * Удаляет узел из индекса; импортёры модуля остаются, пока не переиндексируются сами
+     * @param {string} modulePath - Путь модуля
+     */
+
+    remove(modulePath) {
+        const node = this.#nodes.get(modulePath);
+        if (!node) return;
+
+        this.#nodes.delete(modulePath);
+        const sourcePath = splitQuery(modulePath)[0];
+        drop(this.#owners, sourcePath, modulePath);
+        drop(this.#dirs, path.dirname(sourcePath), modulePath);
+        for (const dep of node.dependencies) drop(this.#importers, dep, modulePath);
+        for (const file of Object.keys(node.fileDependencies || {})) drop(this.#owners, file, modulePath);
+        this.#globNodes.delete(modulePath);
+    }
+
+    /**
+     * Модули, которые затрагивает изменение файла
+     * @param {string} filePath - Абсолютный путь файла
+     * @param {'add'|'change'|'unlink'} event - Что произошло с файлом
+     * @returns {{dirty: string[], unresolved: string[], removed: string[]}} dirty - обработать заново,
+     *          unresolved - заново разрешить импорты, removed - модули удалённого файла
+     */
+
+    affected(filePath, event) {
+        const owners = [...this.#owners.get(filePath) || []];
+        const modules = owners.filter(modulePath => splitQuery(modulePath)[0] === filePath);
+        const dirty = new Set(owners);
+        const unresolved = new Set();
+
+        if (event !== 'change') {
+            // Новый или удалённый файл меняет результат import.meta.glob в своём каталоге
+            for (const modulePath of this.#globNodes) {
+                const dirs = this.#nodes.get(modulePath).globs.flatMap(getGlobDirs);
+                if (dirs.some(dir => isInside(filePath, dir))) dirty.add(modulePath);
+            }
+
+            // Импорты соседних модулей разрешаются заново: './utils' может указывать теперь
+            // на utils.ts вместо utils/index.js или перестать разрешаться
+            const dir = path.dirname(filePath);
+            const neighbours = [
+                ...modules,
+                ...this.#dirs.get(dir) || [],
+                ...this.#dirs.get(path.join(dir, path.basename(filePath, path.extname(filePath)))) || []
+            ];
+            for (const modulePath of neighbours) {
+                for (const importer of this.#importers.get(modulePath) || []) unresolved.add(importer);
+            }
+        }
+
+        return {
+            dirty: [...dirty],
+            unresolved: [...unresolved].filter(modulePath => !dirty.has(modulePath)),
+            removed: event === 'unlink' ? modules : []
+        };
+    }
+
+    /**
+     * @param {string} filePath - Абсолютный путь файла
+     * @returns {boolean} Есть ли в индексе узлы, зависящие от файла
+     */
+
+    has(filePath) {
+        return this.#owners.has(filePath);
+    }
+}
+
+function add(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+}
+
+function drop(map, key, value) {
+    const values = map.get(key);
+    if (!values) return;
+    values.delete(value);
+    if (!values.size) map.delete(key);
+}
+
+function isInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
@@ -0,0 +1,81 @@
+/**
+ * Загружает переменные окружения для бандла из .env, .env.local, .env.[mode] и .env.[mode].local
+ * (каждый следующий файл переопределяет предыдущие, переменные процесса - все файлы).
+ * В бандл попадают только переменные с публичным префиксом, чтобы секреты не утекли в код
+ * @param {string} mode - Режим сборки ('development', 'production', ...)
+ * @param {string} envDir - Каталог с .env-файлами
+ * @param {string[]} prefixes - Публичные префиксы, например ['JOLT_']
+ * @returns {Object<string, string>} Публичные переменные
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export default function loadEnv(mode, envDir, prefixes) {
+    const files = ['.env', '.env.local', `.env.${mode}`, `.env.${mode}.local`];
+    const values = {};
+
+    for (const file of files) {
+        const filePath = path.resolve(envDir, file);
+        if (!fs.existsSync(filePath)) continue;
+        Object.assign(values, parseEnv(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    const env = {};
+    for (const [key, value] of Object.entries({ ...values, ...process.env })) {
+        if (prefixes.some(prefix => key.startsWith(prefix))) env[key] = value;
+    }
+    return env;
+}
+
+/**
+ * Собирает итоговую карту замен: process.env.NODE_ENV, import.meta.env.*, process.env.<публичные>
+ * и пользовательский define (он переопределяет остальное)
+ * @param {Object<string, *>} [define] - Выражение -> код замены, как в esbuild
+ * @param {Object<string, string>} env - Публичные переменные из loadEnv
+ * @param {string} mode - Режим сборки
+ * @returns {Object<string, string>} Выражение -> код замены
+ */
+
+export function createDefines(define = {}, env, mode) {
+    const meta = {
+        ...env,
+        MODE: mode,
+        DEV: mode !== 'production',
+        PROD: mode === 'production'
+    };
+
+    const defines = {
+        'process.env.NODE_ENV': JSON.stringify(mode),
+        'import.meta.env': JSON.stringify(meta)
+    };
+    for (const [key, value] of Object.entries(meta)) {
+        defines[`import.meta.env.${key}`] = JSON.stringify(value);
+    }
+    for (const [key, value] of Object.entries(env)) {
+        defines[`process.env.${key}`] = JSON.stringify(value);
+    }
+
+    // Строка - код замены, как в esbuild; прочие значения (включая JSON.stringify(undefined)) сериализуются
+    for (const [key, value] of Object.entries(define)) {
+        defines[key] = typeof value === 'string' ? value : JSON.stringify(value) ?? 'undefined';
+    }
+    return defines;
+}
+
+// Синтаксис dotenv: KEY=value, export KEY=value, кавычки, \n в двойных кавычках, комментарии #
+function parseEnv(text) {
+    const result = {};
+    const pattern = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*`|[^\n#]*)?\s*(?:#.*)?$/gm;
+
+    for (const [, key, raw = ''] of text.replace(/\r\n?/g, '\n').matchAll(pattern)) {
+        let value = raw.trim();
+        const quote = value[0];
+        if ((quote === '"' || quote === "'" || quote === '`') && value.endsWith(quote)) {
+            value = value.slice(1, -1);
+            if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r');
+        }
+        result[key] = value;
+    }
+    return result;
+}
@@ -1,98 +1,608 @@
 /**
-* Генерирует IIFE (Immediately Invoked Function Expression) бандл
+* Генерирует IIFE (Immediately Invoked Function Expression) бандл. Форматы cjs и umd - та же функция
+* в обёртке, возвращающая экспорты entry в module.exports, AMD define или глобальное имя
 * @param {Object[]} modules - Массив модулей
 * @param {string} entryPath - Путь к entry-файлу
-* @returns {Object} Собранный бандл с кодом и sourcemap
+* @param {Object} [config] - Конфигурация сборки (scopeHoisting - объединить ESM-модули entry в одну область видимости;
+*        format, globalName, chunkFileName - формат вывода из Build)
+* @param {Object} [shared] - Общие чанки из generateSharedChunks, которые нужны entry: { baseDir, chunks: [{ paths,
+*        fileName, style }] }. Модулей этих чанков нет в modules, entry загружает недостающие чанки перед запуском
+* @returns {Object} Собранный бандл с кодом, sourcemap, чанками для import() и CSS-файлами чанков
 */
 
 import path from "node:path";
 import { normalizeModuleId } from "./utils-script.js";
+import { transformSync } from "@swc/core";
+import buildChunks from "./chunk-script.js";
+import SourceMapBuilder from "./sourcemap-script.js";
+import linkChunks, { chunkPlaceholder } from "./link-script.js";
+import { renderChunkStyles } from "./style-script.js";
+import { applyContentHash, removeHashPlaceholder } from "../../utils/hash-utils.js";
+import { replaceImportMetaUrl } from "./worker-script.js";
 
 
-export function generateIIFEBundle(modules, entryPath) {
-    const baseDir = path.dirname(entryPath);
-    const moduleMap = new Map();
+export function generateIIFEBundle(modules, entryPath, config = {}, shared = null) {
+    // ID модулей из общих чанков должны совпадать у всех entry-точек, поэтому база у них общая
+    const baseDir = shared?.baseDir ?? path.dirname(entryPath);
+    const sharedChunks = shared?.chunks || [];
+    // Связанный код entry строится из ES-исходников: import.meta.url в них - URL бандла из рантайма
+    if (config.scopeHoisting) modules = modules.map(withBundleUrl);
+    const { chunks: allChunks, chunkOf, dynamicImports } = buildChunks(modules, entryPath);
+    const entry = allChunks.find(chunk => chunk.kind === 'entry');
+    const chunks = allChunks.filter(chunk => chunk !== entry);
+    const styles = renderChunkStyles(allChunks, config);
+    const format = config.format || 'iife';
+    const wrapper = renderWrapper(format, config.globalName);
+    // Бандлы разных форматов на одной странице не должны делить очередь чанков
+    const chunkGlobal = `joltChunks_${(format === 'iife' ? entry.name : `${entry.name}_${format}`).replace(/\W/g, '_')}`;
 
-    for (const mod of modules) {
-        const id = normalizeModuleId(mod.path, baseDir);
-        moduleMap.set(id, mod);
+    // Чанки генерируются первыми: их хешированные имена попадают в рантайм entry
+    const chunkFiles = chunks.map(chunk => {
+        const out = new SourceMapBuilder();
+        out.append(`(globalThis.${chunkGlobal} = globalThis.${chunkGlobal} || []).push({\n`);
+        renderModules(chunk.modules, baseDir, '  ', out);
+        out.append(`\n});\n`);
+
+        const file = path.basename(renderFileName(config.chunkFileName || DEFAULT_FILE_NAME, chunk.name, format));
+        return {
+            name: getBaseName(file),
+            fileName: applyContentHash(file, out.code),
+            code: out.code,
+            map: out.toJSON(),
+            style: styles.get(chunk)?.fileName,
+            css: styles.has(chunk) ? [styles.get(chunk).fileName] : []
+        };
+    });
+    // Для manifest.json: все чанки IIFE загружаются через import(), CSS entry подключает страница
+    const links = {
+        imports: sharedChunks.map(chunk => chunk.fileName),
+        dynamicImports: chunkFiles.map(chunk => chunk.fileName),
+        css: styles.has(entry) ? [styles.get(entry).fileName] : []
+    };
+
+    // В режиме scope hoisting рантайм модулей нужен только для чанков import() и общих чанков
+    const hoisted = config.scopeHoisting
+        ? renderHoistedEntry(entry, chunks, chunkOf, baseDir, config, wrapper.exports)
+        : null;
+    const out = new SourceMapBuilder();
+
+    let bundleCode = `${wrapper.header}  'use strict';\n\n`;
+    // URL бандла заменяет import.meta.url модулей и служит базой для файлов чанков
+    bundleCode += `  const baseUrl = typeof document !== 'undefined' && document.currentScript\n`;
+    bundleCode += `    ? document.currentScript.src\n`;
+    bundleCode += `    : typeof __filename !== 'undefined'\n`;
+    bundleCode += `      ? 'file://' + (__filename[0] === '/' ? '' : '/') + __filename.replace(/\\\\/g, '/')\n`;
+    bundleCode += `      : typeof location !== 'undefined' ? location.href : '';\n\n`;
+
+    if (hoisted && !chunks.length && !sharedChunks.length) {
+        out.append(bundleCode);
+        out.appendMapped(hoisted.code, hoisted.map);
+        out.append(wrapper.footer);
+
+        return { code: out.code, map: out.toJSON(), chunks: chunkFiles, styles: [...styles.values()], ...links };
     }
 
-    let bundleCode = `(function() {\n  'use strict';\n\n`;
-    bundleCode += `  const modules = new Map();\n\n`;
+    bundleCode += `  const modules = new Map();\n`;
+    bundleCode += `  const chunkMap = ${JSON.stringify(getChunkMap(chunks, chunkFiles, dynamicImports, baseDir))};\n\n`;
 
-    bundleCode += `  function require(moduleId) {\n`;
-    bundleCode += `    if (!modules.has(moduleId)) {\n`;
-    bundleCode += `      throw new Error('Module not found: ' + moduleId);\n`;
+    bundleCode += renderRuntime();
+
+    bundleCode += `  function loadChunk(file) {\n`;
+    bundleCode += `    const url = new URL(file, baseUrl).href;\n`;
+    // CSS чанка загружается вместе с его JS, вне браузера стили не нужны
+    bundleCode += `    if (file.endsWith('.css')) {\n`;
+    bundleCode += `      if (typeof document === 'undefined') return Promise.resolve();\n`;
+    bundleCode += `      return new Promise((resolve, reject) => {\n`;
+    bundleCode += `        const link = document.createElement('link');\n`;
+    bundleCode += `        link.rel = 'stylesheet';\n`;
+    bundleCode += `        link.href = url;\n`;
+    bundleCode += `        link.onload = () => resolve();\n`;
+    bundleCode += `        link.onerror = () => reject(new Error('Failed to load CSS: ' + file));\n`;
+    bundleCode += `        document.head.appendChild(link);\n`;
+    bundleCode += `      });\n`;
+    bundleCode += `    }\n`;
+    bundleCode += `    if (typeof document !== 'undefined') {\n`;
+    bundleCode += `      return new Promise((resolve, reject) => {\n`;
+    bundleCode += `        const script = document.createElement('script');\n`;
+    bundleCode += `        script.src = url;\n`;
+    bundleCode += `        script.async = true;\n`;
+    bundleCode += `        script.onload = () => resolve();\n`;
+    bundleCode += `        script.onerror = () => reject(new Error('Failed to load chunk: ' + file));\n`;
+    bundleCode += `        document.head.appendChild(script);\n`;
+    bundleCode += `      });\n`;
+    bundleCode += `    }\n`;
+    bundleCode += `    if (typeof importScripts === 'function') {\n`;
+    bundleCode += `      importScripts(url);\n`;
+    bundleCode += `      return Promise.resolve();\n`;
     bundleCode += `    }\n`;
-    bundleCode += `    const module = modules.get(moduleId);\n`;
-    bundleCode += `    if (module.cache) return module.cache.exports;\n`;
-    bundleCode += `    const exports = {};\n`;
-    bundleCode += `    module.cache = { exports };\n`;
-    bundleCode += `    module.factory(exports, require);\n`;
-    bundleCode += `    return exports;\n`;
+    bundleCode += `    return import(url);\n`;
     bundleCode += `  }\n\n`;
 
-    for (const [id, mod] of moduleMap.entries()) {
-        bundleCode += `  // Module: ${id}\n`;
-        bundleCode += `  modules.set('${id}', {\n`;
-        bundleCode += `    factory: function(exports, require) {\n`;
-        bundleCode += mod.code.replace(/\n/g, '\n      ') + '\n';
-        bundleCode += `    }\n  });\n\n`;
+    if (sharedChunks.length) {
+        // Первый модуль чанка показывает, зарегистрирован ли он; стили загружаются вместе с кодом
+        const sharedMap = sharedChunks.map(chunk => ({
+            id: normalizeModuleId(chunk.paths[0], baseDir),
+            files: chunk.style ? [chunk.style, chunk.fileName] : [chunk.fileName]
+        }));
+        bundleCode += `  const sharedChunks = ${JSON.stringify(sharedMap)};\n`;
+        // Очередь общая для всех entry-точек страницы: каждая добавляет свою регистрацию к push
+        bundleCode += `  const sharedQueue = globalThis.${SHARED_CHUNK_GLOBAL} = globalThis.${SHARED_CHUNK_GLOBAL} || [];\n`;
+        bundleCode += `  const sharedPush = sharedQueue.push;\n`;
+        bundleCode += `  sharedQueue.forEach(registerModules);\n`;
+        bundleCode += `  sharedQueue.push = function(chunkModules) {\n`;
+        bundleCode += `    registerModules(chunkModules);\n`;
+        bundleCode += `    return sharedPush.call(this, chunkModules);\n`;
+        bundleCode += `  };\n\n`;
+    }
+
+    // Чанки регистрируются через глобальную очередь, как JSONP
+    bundleCode += `  const chunkQueue = globalThis.${chunkGlobal} = globalThis.${chunkGlobal} || [];\n`;
+    bundleCode += `  chunkQueue.forEach(registerModules);\n`;
+    bundleCode += `  chunkQueue.push = function(chunkModules) {\n`;
+    bundleCode += `    registerModules(chunkModules);\n`;
+    bundleCode += `    return Array.prototype.push.call(this, chunkModules);\n`;
+    bundleCode += `  };\n\n`;
+
+    out.append(bundleCode);
+
+    // Entry выполняется, когда зарегистрированы все общие чанки: подключённые страницей
+    // раньше бандла или загруженные им самим
+    if (sharedChunks.length) out.append(`  function runEntry() {\n`);
+
+    if (hoisted) {
+        out.appendMapped(hoisted.code, hoisted.map);
+    } else {
+        out.append(`  registerModules({\n`);
+        renderModules(entry.modules, baseDir, '    ', out);
+        out.append(`\n  });\n\n`);
+
+        const entryId = normalizeModuleId(entryPath, baseDir);
+        out.append(`  // Entry point\n`);
+        out.append(`  ${wrapper.exports ? 'return ' : ''}require('${entryId}');\n`);
     }
 
-    const entryId = normalizeModuleId(entryPath, baseDir);
-    bundleCode += `  // Entry point\n`;
-    bundleCode += `  require('${entryId}');\n`;
-    bundleCode += `})();`;
+    if (sharedChunks.length) {
+        out.append(`  }\n\n`);
+        out.append(`  const missingChunks = sharedChunks.filter(chunk => !modules.has(chunk.id));\n`);
+        out.append(`  if (missingChunks.length) loadChunkFiles(missingChunks.flatMap(chunk => chunk.files)).then(runEntry);\n`);
+        out.append(`  else runEntry();\n`);
+    }
+    out.append(wrapper.footer);
 
     return {
-        code: bundleCode,
-        map: modules.find(m => m.path === entryPath)?.map
+        code: out.code,
+        map: out.toJSON(),
+        chunks: chunkFiles,
+        styles: [...styles.values()],
+        ...links
     };
 }
 
-export function generateESBundle(modules, entryPath) {
-    const baseDir = path.dirname(entryPath);
-    const moduleMap = new Map();
+/**
+* Генерирует общие чанки IIFE-бандлов из planSharedChunks: файл регистрирует фабрики модулей
+* через глобальную очередь, а выполняет их рантайм entry-точки
+* @param {{name: string, paths: string[]}[]} chunks - Общие чанки
+* @param {Object[]} modules - Модули, из которых берётся код чанков
+* @param {string} baseDir - Общий каталог entry-точек, от которого считаются ID модулей
+* @param {Object} config - Конфигурация сборки (chunkFileName)
+* @returns {{chunks: Object[], styles: Object[]}} Файлы чанков в порядке chunks и их CSS-файлы
+*/
 
-    for (const mod of modules) {
-        const id = normalizeModuleId(mod.path, baseDir);
-        moduleMap.set(id, mod);
-    }
+export function generateSharedChunks(chunks, modules, baseDir, config) {
+    const graph = new Map(modules.map(mod => [mod.path, mod]));
+    const sharedChunks = chunks.map(chunk => ({ ...chunk, modules: chunk.paths.map(modulePath => graph.get(modulePath)) }));
+    const styles = renderChunkStyles(sharedChunks, config);
 
-    let bundleCode = '';
-    const importMap = { imports: {} };
+    const files = sharedChunks.map(chunk => {
+        const out = new SourceMapBuilder();
+        out.append(`(globalThis.${SHARED_CHUNK_GLOBAL} = globalThis.${SHARED_CHUNK_GLOBAL} || []).push({\n`);
+        renderModules(chunk.modules, baseDir, '  ', out);
+        out.append(`\n});\n`);
 
-    for (const [id, mod] of moduleMap.entries()) {
-        let moduleCode = mod.code;
+        const file = path.basename(renderFileName(config.chunkFileName || DEFAULT_FILE_NAME, chunk.name, 'iife'));
+        return {
+            name: getBaseName(file),
+            fileName: applyContentHash(file, out.code),
+            code: out.code,
+            map: out.toJSON(),
+            style: styles.get(chunk)?.fileName,
+            imports: [],
+            dynamicImports: [],
+            css: styles.has(chunk) ? [styles.get(chunk).fileName] : []
+        };
+    });
 
-        moduleCode = moduleCode.replace(
-            /require\(['"]([^'"]+)['"]\)/g,
-            (_, depPath) => {
-                const depId = normalizeModuleId(
-                    path.resolve(path.dirname(mod.path), depPath),
-                    baseDir
-                );
-                return `import('${depId}')`;
+    return { chunks: files, styles: [...styles.values()] };
+}
+
+// Модули entry-чанка, связанные в одну область видимости. import() уходит в рантайм чанков,
+// а модули, которые нужны фабрикам из чанков, регистрируются в нём через свои exports
+function renderHoistedEntry(entry, chunks, chunkOf, baseDir, config, hasExports) {
+    const exposeModules = new Set();
+    for (const chunk of chunks) {
+        for (const mod of chunk.modules) {
+            for (const dep of Object.values(mod.resolved || {})) {
+                if (chunkOf.get(dep) === entry) exposeModules.add(dep);
             }
-        );
+        }
+    }
 
-        bundleCode += `// ${id}\n`;
-        bundleCode += `const ${id.replace(/\//g, '$')} = (() => {\n`;
-        bundleCode += moduleCode + '\n';
-        bundleCode += `})();\n\n`;
+    const linked = linkChunks([entry], chunkOf, config, {
+        dynamicImport: (modulePath) => `importModule('${normalizeModuleId(modulePath, baseDir)}')`,
+        exposeModules: [...exposeModules],
+        expose: (modulePath, exports) => [
+            `registerModules({`,
+            `  '${normalizeModuleId(modulePath, baseDir)}': {`,
+            `    deps: {},`,
+            `    factory: function(exports) { Object.defineProperties(exports, Object.getOwnPropertyDescriptors(${exports})); }`,
+            `  }`,
+            `});`
+        ].join('\n'),
+        // Экспорты entry возвращаются из обёртки, у IIFE без globalName их нет
+        renderExports: (exports, reexports) => hasExports ? renderExportsObject(exports, reexports) : '',
+        // Внешние зависимости берутся так же, как в фабриках модулей, модули общих чанков - из реестра
+        externalImport: (specifier, resolvedPath) => resolvedPath
+            ? `require('${normalizeModuleId(resolvedPath, baseDir)}')`
+            : `require(${JSON.stringify(specifier)})`,
+        reservedNames: RUNTIME_NAMES,
+        // CommonJS-модули видят тот же __filename, что и фабрики реестра
+        moduleId: (modulePath) => normalizeModuleId(modulePath, baseDir)
+    });
 
-        importMap.imports[id] = `./${path.basename(entryPath)}.js#${id.replace(/\//g, '$')}`;
+    return linked.get(entry);
+}
+
+function withBundleUrl(mod) {
+    const source = replaceImportMetaUrl(mod.path, mod.source, 'baseUrl');
+    return source === mod.source ? mod : { ...mod, source };
+}
+
+// Объект экспортов entry для CommonJS-потребителей: геттеры сохраняют живые привязки,
+// __esModule позволяет __toESM и бандлерам найти default. В него копируются и exports
+// CommonJS-модулей из export * (reexports), кроме имён, которые entry экспортирует сама
+function renderExportsObject(exports, reexports = []) {
+    const getters = exports.map(([exportName, localName]) =>
+        `  get ${JSON.stringify(exportName)}() { return ${localName}; }`
+    );
+    const object = `Object.defineProperty({${getters.length ? `\n${getters.join(',\n')}\n` : ''}}, '__esModule', { value: true })`;
+    if (!reexports.length) return `return ${object};`;
+
+    return [
+        `return [${reexports.join(', ')}].reduce((target, mod) => {`,
+        `  for (const key of Object.keys(mod)) {`,
+        `    if (key !== 'default' && !(key in target)) Object.defineProperty(target, key, { enumerable: true, get: () => mod[key] });`,
+        `  }`,
+        `  return target;`,
+        `}, ${object});`
+    ].join('\n');
+}
+
+// Начало и конец бандла для формата. exports - обёртка возвращает экспорты entry
+function renderWrapper(format, globalName) {
+    if (format === 'cjs') {
+        return { header: `module.exports = (function() {\n`, footer: `})();`, exports: true };
+    }
+
+    if (format === 'umd') {
+        const assign = renderGlobalAssignment('root', globalName, 'factory();');
+        return {
+            header: [
+                `(function(root, factory) {`,
+                `  if (typeof define === 'function' && define.amd) define([], factory);`,
+                `  else if (typeof module === 'object' && module.exports) module.exports = factory();`,
+                `  else {`,
+                ...assign.map(line => `    ${line}`),
+                `  }`,
+                `})(typeof globalThis !== 'undefined' ? globalThis : this, function() {\n`
+            ].join('\n'),
+            footer: `});`,
+            exports: true
+        };
+    }
+
+    if (globalName) {
+        const assign = renderGlobalAssignment('globalThis', globalName, '(function() {\n');
+        return { header: assign.join('\n'), footer: `})();`, exports: true };
     }
 
-    const entryId = normalizeModuleId(entryPath, baseDir);
-    bundleCode += `// Entry point\n`;
-    bundleCode += `export default ${entryId.replace(/\//g, '$')};\n`;
+    return { header: `(function() {\n`, footer: `})();`, exports: false };
+}
+
+// Присваивание по глобальному имени вида a.b.c: недостающие пространства имён создаются
+function renderGlobalAssignment(root, globalName, value) {
+    const parts = globalName.split('.');
+    const lines = parts.slice(1).map((_, index) => {
+        const target = [root, ...parts.slice(0, index + 1)].join('.');
+        return `${target} = ${target} || {};`;
+    });
+    lines.push(`${[root, ...parts].join('.')} = ${value}`);
+    return lines;
+}
+
+/**
+* Подставляет имя entry-точки или чанка и формат в шаблон имени файла: '[name].[format].[hash].js'.
+* [hash] остаётся в имени: хеш содержимого подставляется, когда код файла готов
+* @param {string} template - Шаблон имени
+* @param {string} name - Имя entry-точки или чанка
+* @param {string} format - Формат вывода
+* @returns {string} Имя файла
+*/
+
+export function renderFileName(template, name, format) {
+    return template.replace(/\[name\]/g, name).replace(/\[format\]/g, format);
+}
+
+// Шаблон имени файла по умолчанию: хеш содержимого сбрасывает кеш браузера
+const DEFAULT_FILE_NAME = '[name].[hash].js';
+
+// Имя файла без хеша и расширения: по нему удаляются файлы прошлых сборок
+function getBaseName(file) {
+    const unhashed = removeHashPlaceholder(file);
+    return path.basename(unhashed, path.extname(unhashed));
+}
+
+/**
+* Генерирует ES-модули: модули чанка связываются в одну область видимости,
+* экспорты entry становятся настоящими export, чанки импортируют друг друга
+* @param {Object[]} modules - Массив модулей всех entry-точек
+* @param {{path: string, name: string}[]} entries - Entry-точки и имена их файлов
+* @param {Object} config - Конфигурация сборки
+* @param {{linked: Map, minified: WeakMap}} [cache] - Кеш сборки между пересборками: связанный код чанков
+*        по имени и минифицированный по связанному. Чанк, модули и связи которого не изменились, не рендерится
+*        и не минифицируется заново
+* @returns {{outputs: Object[], chunks: Object[], styles: Object[]}} Файлы entry-точек, общие/динамические
+*          чанки и CSS-файлы чанков
+*/
+
+export function generateESBundle(modules, entries, config, cache = null) {
+    const { chunks, chunkOf } = buildChunks(modules, entries.map(entry => entry.path), { vendor: config.splitting?.vendor });
+    const linked = linkChunks(chunks, chunkOf, config, { cache: cache?.linked });
+    const styles = renderChunkStyles(chunks, config);
+
+    const rendered = chunks.map(chunk => {
+        const { code, map } = linked.get(chunk);
+        if (!config.minify) return withStylesheet(chunk, styles, { code, map });
+
+        // Связанный код чанка из кеша - тот же объект, что в прошлой сборке
+        const minified = cache?.minified.get(linked.get(chunk));
+        const result = minified?.target === config.target ? minified.result : transformSync(code, {
+            filename: `${chunk.name}.js`,
+            isModule: true,
+            minify: true,
+            jsc: {
+                target: config.target,
+                minify: { compress: true, mangle: true }
+            },
+            // Минификация с входной картой: итоговая sourcemap указывает на исходники, а не на связанный код
+            sourceMaps: !!map,
+            inputSourceMap: map ? JSON.stringify(map) : undefined
+        });
+        cache?.minified.set(linked.get(chunk), { target: config.target, result });
+        return withStylesheet(chunk, styles, { code: result.code, map: result.map ? JSON.parse(result.map) : null });
+    });
+    const codes = rendered.map(({ code }) => code);
+
+    // Хеш чанка зависит и от чанков, которые он импортирует: иначе старый файл
+    // продолжил бы ссылаться на устаревшие имена
+    const references = codes.map(code => [...code.matchAll(CHUNK_PLACEHOLDER)].map(match => Number(match[1])));
+    const templates = chunks.map(chunk => {
+        const entry = chunk.kind === 'entry' && entries.find(({ path: entryPath }) => path.resolve(entryPath) === chunk.entryPath);
+        const file = entry
+            ? renderFileName(config.fileName || DEFAULT_FILE_NAME, entry.name, 'esm')
+            : renderFileName(config.chunkFileName || DEFAULT_FILE_NAME, chunk.name, 'esm');
+        return path.basename(file);
+    });
+    const fileNames = templates.map((file, index) =>
+        applyContentHash(file, collectReferences(references, index).map(i => codes[i]).join('\n'))
+    );
+
+    const files = codes.map(code => code.replace(CHUNK_PLACEHOLDER, (_, index) => `./${fileNames[index]}`));
+    const links = chunks.map((chunk, index) => getChunkLinks(chunk, codes[index], fileNames, styles));
+
+    const outputs = entries.map(entry => {
+        const index = chunks.findIndex(chunk => chunk.kind === 'entry' && chunk.entryPath === path.resolve(entry.path));
+        return {
+            entry: entry.path,
+            fileName: fileNames[index],
+            code: files[index],
+            map: rendered[index].map,
+            ...links[index]
+        };
+    });
+
+    return {
+        outputs,
+        chunks: chunks
+            .map((chunk, index) => ({
+                // Имя без хеша: по нему удаляются файлы прошлых сборок
+                name: getBaseName(templates[index]),
+                kind: chunk.kind,
+                fileName: fileNames[index],
+                code: files[index],
+                map: rendered[index].map,
+                ...links[index]
+            }))
+            .filter(chunk => chunk.kind !== 'entry'),
+        styles: [...styles.values()]
+    };
+}
+
+// CSS entry подключается страницей, остальные чанки ждут свой CSS через top-level await,
+// поэтому импортирующий модуль выполняется уже с применёнными стилями
+function withStylesheet(chunk, styles, { code, map }) {
+    if (chunk.kind === 'entry' || !styles.has(chunk)) return { code, map };
+
+    const out = new SourceMapBuilder();
+    out.append([
+        `await new Promise((resolve, reject) => {`,
+        `  if (typeof document === 'undefined') return resolve();`,
+        `  const link = document.createElement('link');`,
+        `  link.rel = 'stylesheet';`,
+        `  link.href = new URL('./${styles.get(chunk).fileName}', import.meta.url).href;`,
+        `  link.onload = () => resolve();`,
+        `  link.onerror = () => reject(new Error('Failed to load CSS: ' + link.href));`,
+        `  document.head.appendChild(link);`,
+        `});\n`
+    ].join('\n'));
+    out.appendMapped(code, map);
+
+    return { code: out.code, map: out.toJSON() };
+}
 
+const CHUNK_PLACEHOLDER = new RegExp(chunkPlaceholder('(\\d+)'), 'g');
+
+// Файлы, на которые ссылается чанк, для manifest.json: import() - динамическая ссылка, остальное - статическая
+function getChunkLinks(chunk, code, fileNames, styles) {
+    const imports = new Set();
+    const dynamicImports = new Set();
+    for (const match of code.matchAll(CHUNK_PLACEHOLDER)) {
+        // Перед плейсхолдером стоит кавычка, перед ней - import( у динамического импорта
+        const dynamic = /import\(\s*$/.test(code.slice(Math.max(0, match.index - 16), match.index - 1));
+        (dynamic ? dynamicImports : imports).add(fileNames[Number(match[1])]);
+    }
     return {
-        code: bundleCode,
-        map: modules.find(m => m.path === entryPath)?.map,
-        importMap
+        imports: [...imports],
+        dynamicImports: [...dynamicImports].filter(fileName => !imports.has(fileName)),
+        css: styles.has(chunk) ? [styles.get(chunk).fileName] : []
     };
-}
\ No newline at end of file
+}
+
+function collectReferences(references, start) {
+    const visited = new Set();
+    const stack = [start];
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (visited.has(index)) continue;
+        visited.add(index);
+        stack.push(...references[index]);
+    }
+    // Собственный код идёт первым, чтобы чанки из одного цикла получили разные хеши
+    return [start, ...[...visited].filter(index => index !== start).sort((a, b) => a - b)];
+}
+
+// Имена, которые рантайм объявляет в области видимости IIFE
+const RUNTIME_NAMES = [
+    'modules', 'moduleCache', 'externalRequire', 'chunkMap', 'baseUrl', 'loadedChunks', 'registerModules', 'require',
+    'createRequire', 'importModule', 'loadChunk', 'loadChunkFiles', 'chunkQueue', 'sharedChunks', 'sharedQueue',
+    'sharedPush', 'runEntry', 'missingChunks'
+];
+
+// Очередь, через которую общие чанки IIFE регистрируют модули у всех entry-точек страницы
+const SHARED_CHUNK_GLOBAL = 'joltSharedChunks';
+
+// Общая часть рантайма: реестр модулей, require с семантикой CommonJS и загрузка чанков для import()
+function renderRuntime() {
+    let code = '';
+
+    code += `  const loadedChunks = new Map();\n`;
+    // require.cache: удалённая из кеша запись выполнит фабрику модуля заново, как в Node
+    code += `  const moduleCache = Object.create(null);\n`;
+    // Внешние зависимости и встроенные модули Node берутся у require окружения, если оно есть
+    code += `  const externalRequire = typeof module !== 'undefined' && typeof module.require === 'function'\n`;
+    code += `    ? (id) => module.require(id)\n`;
+    code += `    : null;\n\n`;
+
+    code += `  function registerModules(chunkModules) {\n`;
+    code += `    for (const id in chunkModules) {\n`;
+    code += `      if (!modules.has(id)) modules.set(id, chunkModules[id]);\n`;
+    code += `    }\n`;
+    code += `  }\n\n`;
+
+    code += `  function require(moduleId) {\n`;
+    code += `    if (moduleCache[moduleId]) return moduleCache[moduleId].exports;\n`;
+    code += `    if (!modules.has(moduleId)) {\n`;
+    code += `      if (externalRequire) return externalRequire(moduleId);\n`;
+    code += `      throw new Error('Module not found: ' + moduleId);\n`;
+    code += `    }\n`;
+    code += `    const record = modules.get(moduleId);\n`;
+    code += `    const module = moduleCache[moduleId] = { id: moduleId, exports: {}, loaded: false };\n`;
+    // В Node доступны настоящие __filename/__dirname бандла, в браузере - ID модуля
+    code += `    const filename = typeof __filename !== 'undefined' ? __filename : moduleId;\n`;
+    code += `    const dirname = typeof __dirname !== 'undefined' ? __dirname : moduleId.slice(0, moduleId.lastIndexOf('/')) || '.';\n`;
+    code += `    try {\n`;
+    code += `      record.factory.call(module.exports, module.exports, createRequire(record), module, filename, dirname);\n`;
+    code += `    } catch (error) {\n`;
+    code += `      delete moduleCache[moduleId];\n`;
+    code += `      throw error;\n`;
+    code += `    }\n`;
+    code += `    module.loaded = true;\n`;
+    // module.exports мог быть заменён фабрикой
+    code += `    return module.exports;\n`;
+    code += `  }\n`;
+    code += `  require.cache = moduleCache;\n\n`;
+
+    code += `  function createRequire(record) {\n`;
+    code += `    const localRequire = function(specifier) {\n`;
+    code += `      return require(localRequire.resolve(specifier));\n`;
+    code += `    };\n`;
+    code += `    localRequire.resolve = function(specifier) {\n`;
+    code += `      return record.deps[specifier] || specifier;\n`;
+    code += `    };\n`;
+    code += `    localRequire.import = function(specifier) {\n`;
+    code += `      return importModule(localRequire.resolve(specifier));\n`;
+    code += `    };\n`;
+    code += `    localRequire.cache = moduleCache;\n`;
+    // import.meta.url модуля, см. transformModule
+    code += `    localRequire.meta = { url: baseUrl };\n`;
+    code += `    return localRequire;\n`;
+    code += `  }\n\n`;
+
+    code += `  function loadChunkFiles(files) {\n`;
+    code += `    return Promise.all(files.map(file => {\n`;
+    code += `      if (!loadedChunks.has(file)) loadedChunks.set(file, loadChunk(file));\n`;
+    code += `      return loadedChunks.get(file);\n`;
+    code += `    }));\n`;
+    code += `  }\n\n`;
+
+    code += `  function importModule(moduleId) {\n`;
+    code += `    return loadChunkFiles(chunkMap[moduleId] || []).then(() => require(moduleId));\n`;
+    code += `  }\n\n`;
+
+    return code;
+}
+
+function renderModules(modules, baseDir, indent, out) {
+    modules.forEach((mod, index) => {
+        if (index > 0) out.append(',\n');
+        renderModule(mod, baseDir, indent, out);
+    });
+}
+
+function renderModule(mod, baseDir, indent, out) {
+    const id = normalizeModuleId(mod.path, baseDir);
+    out.append(`${indent}// Module: ${id}\n`);
+    out.append(`${indent}'${id}': {\n`);
+    out.append(`${indent}  deps: ${JSON.stringify(getModuleDeps(mod, baseDir))},\n`);
+    out.append(`${indent}  factory: function(exports, require, module, __filename, __dirname) {\n`);
+    // Каждая строка кода модуля сдвинута на отступ, sourcemap сдвигается вместе с ней
+    out.appendMapped(`${indent}    ` + mod.code.replace(/\n/g, `\n${indent}    `) + '\n', mod.map, {
+        columnOffset: indent.length + 4
+    });
+    out.append(`${indent}  }\n`);
+    out.append(`${indent}}`);
+}
+
+// Карта "ID цели import() -> файлы чанков, которые нужно загрузить"
+function getChunkMap(chunks, chunkFiles, dynamicImports, baseDir) {
+    const chunkMap = {};
+    for (const [target, targetChunks] of dynamicImports) {
+        // Чанк entry всегда загружен
+        const files = targetChunks
+            .filter(chunk => chunks.includes(chunk))
+            .flatMap(chunk => {
+                const { fileName, style } = chunkFiles[chunks.indexOf(chunk)];
+                return style ? [style, fileName] : [fileName];
+            });
+        if (files.length) chunkMap[normalizeModuleId(target, baseDir)] = files;
+    }
+    return chunkMap;
+}
+
+// Карта "спецификатор из кода модуля -> ID модуля в бандле"
+function getModuleDeps(mod, baseDir) {
+    const deps = {};
+    for (const [specifier, resolvedPath] of Object.entries(mod.resolved || {})) {
+        deps[specifier] = normalizeModuleId(resolvedPath, baseDir);
+    }
+    return deps;
+}
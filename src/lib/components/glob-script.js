@@ -0,0 +1,181 @@
+/**
+ * Раскрывает import.meta.glob('./pages/*.js', { eager, import, query }) в объект
+ * путь -> модуль. Без eager значения - функции () => import(...), с eager - модули,
+ * импортированные в начале файла. Шаблон начинается с './', '../', '/' (корень проекта)
+ * или псевдонима; '!' в начале шаблона исключает файлы
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к файлу
+ * @param {string} code - Исходный код
+ * @returns {Promise<{code: string, globs: {cwd: string, patterns: string[], files: string[]}[]}>}
+ *          Код с раскрытыми вызовами и шаблоны с найденными файлами для проверки кеша
+ * @throws {Error} Если аргументы вызова не статические
+ */
+
+import path from "node:path";
+import glob from "fast-glob";
+import { parseModule, walk, createLocator } from "./ast-script.js";
+import { applyEdits } from "./link-script.js";
+import { applyAlias } from "./alias-script.js";
+import { splitQuery, getModuleDir } from "./module-script.js";
+
+const OPTIONS = ['eager', 'import', 'query'];
+
+export default async function expandGlobImports(config, filePath, code) {
+    // Быстрая проверка без разбора
+    if (!code.includes('import.meta.glob')) return { code, globs: [] };
+
+    const { ast, offset } = parseModule(code, filePath);
+    const locator = createLocator(code, offset);
+    const calls = [];
+
+    walk(ast, (node) => {
+        if (node.type !== 'CallExpression' || !isImportMetaGlob(node.callee)) return;
+        calls.push(node);
+        return false;
+    });
+
+    if (!calls.length) return { code, globs: [] };
+
+    const sourcePath = splitQuery(filePath)[0];
+    const dir = getModuleDir(filePath);
+    const globs = [];
+    const imports = [];
+    const edits = [];
+
+    for (const [index, call] of calls.entries()) {
+        const start = locator.index(call.span.start);
+        const end = locator.index(call.span.end);
+        const fail = (message) => {
+            const { line, column } = locator.location(start);
+            throw new Error(`Invalid import.meta.glob in ${filePath}:${line}:${column}: ${message}`);
+        };
+
+        const [patternsArg, optionsArg, ...rest] = call.arguments;
+        if (!patternsArg || rest.length) fail('expected patterns and an optional options object');
+
+        const patterns = getPatterns(patternsArg.expression) ?? fail('patterns must be a string literal or an array of string literals');
+        const options = getOptions(optionsArg?.expression) ?? fail('options must be an object literal with literal values');
+        const unknown = Object.keys(options).find(key => !OPTIONS.includes(key));
+        if (unknown) fail(`unknown option "${unknown}"`);
+        if (options.import !== undefined && !/^(\*|[A-Za-z_$][\w$]*)$/.test(options.import)) {
+            fail(`"import" must be an export name or "*"`);
+        }
+        if (options.query !== undefined && typeof options.query !== 'string') fail('"query" must be a string');
+
+        const normalized = patterns.map(pattern => normalizePattern(config, dir, pattern) ?? fail(
+            `pattern "${pattern}" must start with "./", "../", "/" or an alias`
+        ));
+        const files = await matchGlob({ cwd: dir, patterns: normalized }, sourcePath);
+        globs.push({ cwd: dir, patterns: normalized, files });
+
+        const query = options.query ? (options.query.startsWith('?') ? options.query : `?${options.query}`) : '';
+        const entries = files.map((file, fileIndex) => {
+            const key = JSON.stringify(getKey(dir, file, patterns));
+            const specifier = JSON.stringify(toRelative(dir, file) + query);
+
+            if (!options.eager) {
+                const picked = options.import && options.import !== '*' ? `.then((m) => m.${options.import})` : '';
+                return `${key}: () => import(${specifier})${picked}`;
+            }
+
+            const local = `__jolt_glob_${index}_${fileIndex}`;
+            imports.push(!options.import || options.import === '*'
+                ? `import * as ${local} from ${specifier};`
+                : `import { ${options.import} as ${local} } from ${specifier};`);
+            return `${key}: ${local}`;
+        });
+
+        // Объект пишется в одну строку, а переводы строк вызова сохраняются: строки модуля не смещаются
+        edits.push({ start, end, text: `({${entries.join(', ')}})` + code.slice(start, end).replace(/[^\n]/g, '') });
+    }
+
+    // Импорты eager-модулей дописываются в начало первой строки кода, чтобы не сдвигать номера строк
+    if (imports.length) {
+        const start = code.startsWith('#!') ? code.indexOf('\n') + 1 : 0;
+        edits.push({ start, end: start, text: imports.join('') });
+    }
+
+    return { code: applyEdits(code, edits), globs };
+}
+
+/**
+ * Находит файлы по шаблонам import.meta.glob
+ * @param {{cwd: string, patterns: string[]}} entry - Каталог модуля и шаблоны относительно него
+ * @param {string} filePath - Путь к модулю: сам себя он не импортирует
+ * @returns {Promise<string[]>} Абсолютные пути в алфавитном порядке
+ */
+
+export async function matchGlob({ cwd, patterns }, filePath) {
+    const files = await glob(patterns, { cwd, absolute: true, ignore: ['**/node_modules/**'] });
+    return files.map(file => path.normalize(file)).filter(file => file !== filePath).sort();
+}
+
+/**
+ * Каталоги, в которых появление нового файла меняет результат import.meta.glob
+ * @param {{cwd: string, patterns: string[]}} entry - Запись из node.globs
+ * @returns {string[]} Абсолютные пути каталогов
+ */
+
+export function getGlobDirs({ cwd, patterns }) {
+    return glob.generateTasks(patterns, { cwd }).map(task => path.resolve(cwd, task.base));
+}
+
+// Шаблон относительно каталога модуля; '!' переносится на результат подстановки
+function normalizePattern(config, dir, pattern) {
+    const negated = pattern.startsWith('!');
+    const body = negated ? pattern.slice(1) : pattern;
+    const prefix = negated ? '!' : '';
+
+    if (body.startsWith('./') || body.startsWith('../')) return prefix + body;
+    if (body.startsWith('/')) return prefix + toGlobPath(process.cwd()) + body;
+
+    const [aliased] = applyAlias(config.alias, body);
+    return aliased && path.isAbsolute(aliased) ? prefix + toGlobPath(aliased) : null;
+}
+
+// Ключ объекта: путь от модуля для относительных шаблонов, от корня проекта - для остальных
+function getKey(dir, file, patterns) {
+    const relative = patterns.some(pattern => /^!?\.\.?\//.test(pattern));
+    return relative ? toRelative(dir, file) : '/' + toGlobPath(path.relative(process.cwd(), file));
+}
+
+function toRelative(dir, file) {
+    const relative = toGlobPath(path.relative(dir, file));
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+// fast-glob понимает только прямые слеши
+function toGlobPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function getPatterns(node) {
+    if (node?.type === 'StringLiteral') return [node.value];
+    if (node?.type !== 'ArrayExpression' || !node.elements.length) return null;
+
+    const patterns = node.elements.map(element =>
+        !element?.spread && element?.expression.type === 'StringLiteral' ? element.expression.value : null
+    );
+    return patterns.includes(null) ? null : patterns;
+}
+
+function getOptions(node) {
+    if (!node) return {};
+    if (node.type !== 'ObjectExpression') return null;
+
+    const options = {};
+    for (const prop of node.properties) {
+        if (prop.type !== 'KeyValueProperty' || !['Identifier', 'StringLiteral'].includes(prop.key.type)) return null;
+        if (!['BooleanLiteral', 'StringLiteral'].includes(prop.value.type)) return null;
+        options[prop.key.value] = prop.value.value;
+    }
+    return options;
+}
+
+function isImportMetaGlob(node) {
+    return node?.type === 'MemberExpression' &&
+        node.object.type === 'MetaProperty' &&
+        node.object.kind === 'import.meta' &&
+        node.property.type === 'Identifier' &&
+        node.property.value === 'glob';
+}
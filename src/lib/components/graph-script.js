@@ -1,28 +1,85 @@
 /**
- * Строит граф зависимостей для entry-точки
+ * Строит граф зависимостей для entry-точки. Найденные модули обрабатываются параллельно:
+ * трансформация идёт в пуле потоков, пока основной поток читает и разрешает следующие файлы
  * @param {string} entryPath - Путь к entry-файлу
+ * @param {DiskCache} [store] - Постоянный кеш модулей между запусками
+ * @param {TransformPool} [pool] - Пул потоков для трансформации SWC
+ * @param {Function} [isFresh] - (путь) => true, если узел из graph актуален без проверки файла:
+ *        при инкрементальной пересборке так берутся все модули, кроме изменённых
  * @returns {Object[]} Массив всех модулей в графе
  */
 
 import processFile from "./process-script.js";
 import path from "node:path";
 
-export default async function buildDependencyGraph(config, cache, graph, entryPath) {
-    const queue = [path.resolve(entryPath)];
+// Одновременно обрабатываемых файлов хватает, чтобы занять пул, и не больше: тысячи открытых
+// файлов упёрлись бы в лимит дескрипторов
+const MAX_ACTIVE_FILES = 64;
+
+// Файлы в обработке для каждого графа: модуль, общий для нескольких entry-точек,
+// обрабатывается один раз
+const pending = new WeakMap();
+
+export default async function buildDependencyGraph(config, cache, graph, entryPath, store, pool, isFresh) {
+    const entry = path.resolve(entryPath);
     const visited = new Set();
+    const limit = Math.max(MAX_ACTIVE_FILES, (config.threads || 0) * 2);
+
+    await new Promise((resolve, reject) => {
+        const waiting = [];
+        let active = 0;
+
+        const start = (current) => {
+            active++;
+            const task = isFresh?.(current) && graph.has(current)
+                ? Promise.resolve(graph.get(current))
+                : processOnce(config, cache, graph, current, store, pool);
+            task.then(node => {
+                active--;
+                node.dependencies.forEach(visit);
+                while (waiting.length > 0 && active < limit) start(waiting.shift());
+                if (active === 0) resolve();
+            }, error => {
+                console.error(`Error processing ${current}:`, error);
+                reject(error);
+            });
+        };
+        const visit = (current) => {
+            if (visited.has(current)) return;
+            visited.add(current);
+            if (active < limit) start(current);
+            else waiting.push(current);
+        };
+
+        visit(entry);
+    });
 
+    // Порядок модулей не зависит от того, какой файл обработался раньше
+    const modules = [];
+    const seen = new Set();
+    const queue = [entry];
     while (queue.length > 0) {
         const current = queue.pop();
-        if (visited.has(current)) continue;
-        visited.add(current);
-        try {
-            const node = await processFile(config, cache, graph, current);
-            queue.push(...node.dependencies);
-        } catch (error) {
-            console.error(`Error processing ${current}:`, error);
-            throw error;
-        }
+        if (seen.has(current)) continue;
+        seen.add(current);
+        modules.push(graph.get(current));
+        queue.push(...graph.get(current).dependencies);
     }
 
-    return [...visited].map(f => graph.get(f));
+    return modules;
+}
+
+function processOnce(config, cache, graph, filePath, store, pool) {
+    if (!pending.has(graph)) pending.set(graph, new Map());
+    const files = pending.get(graph);
+
+    if (!files.has(filePath)) {
+        const task = processFile(config, cache, graph, filePath, store, pool).catch(error => {
+            // Хеш уже записан в кеш: без удаления следующая сборка взяла бы старый узел
+            cache.delete(filePath);
+            throw error;
+        });
+        files.set(filePath, task.finally(() => files.delete(filePath)));
+    }
+    return files.get(filePath);
 }
\ No newline at end of file
@@ -8,6 +8,15 @@ import fs from "node:fs/promises"
  */
 
 export default async function hashFile(filePath) {
-    const content = await fs.readFile(filePath, 'utf8');
+    return hashContent(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Генерирует хеш SHA-256 уже прочитанного содержимого
+ * @param {string|Buffer} content - Содержимое файла
+ * @returns {string} Хеш содержимого
+ */
+
+export function hashContent(content) {
     return createHash('sha256').update(content).digest('hex');
 }
\ No newline at end of file
@@ -1,32 +1,125 @@
 /**
- * Парсит код и извлекает все импорты/зависимости
+ * Парсит код через SWC и извлекает все импорты/экспорты/зависимости
  * @param {string} code - Исходный код
- * @returns {string[]} Массив путей зависимостей
+ * @param {Object} [options] - Настройки
+ * @param {string} [options.filename] - Имя файла (для выбора синтаксиса и сообщений)
+ * @returns {Object[]} Записи вида { kind, specifier, names, start, end, loc }
+ *
+ * kind: 'import' | 'export' | 'dynamic-import' | 'require'
+ * names: [{ imported, local }] для import, [{ imported, exported }] для реэкспорта
+ * start/end: индексы строкового литерала со спецификатором (вместе с кавычками)
+ * callee: { start, end } - индексы вызываемого выражения для import() и require()
  */
 
-export default async function parseImports(code) {
-    const imports = new Set();
-
-    // Все возможные варианты импортов
-    const importPatterns = [
-        // Стандартные импорты
-        /(?:import|export)\s*(?:(?:\{[^}]+\}|\* as \w+)\s*from\s*)?['"]([^'"]+)['"]/g,
-        // Динамические импорты
-        /import\s*\(['"]([^'"]+)['"]\)/g,
-        // CommonJS require
-        /require\(['"]([^'"]+)['"]\)/g
-    ];
-
-    for (const pattern of importPatterns) {
-        let match;
-        // Сбрасываем lastIndex перед каждым использованием
-        pattern.lastIndex = 0;
-        while ((match = pattern.exec(code)) !== null) {
-            if (match[1]) {
-                imports.add(match[1]);
+import { parseModule, walk, createLocator, UNRESOLVED_CTXT } from "./ast-script.js";
+
+export default async function parseImports(code, { filename = '' } = {}) {
+    let parsed;
+    try {
+        parsed = parseModule(code, filename);
+    } catch (error) {
+        throw new Error(`Failed to parse ${filename || 'module'}: ${error.message || error}`);
+    }
+
+    const locator = createLocator(code, parsed.offset);
+    const records = [];
+
+    const addRecord = (kind, literal, names = [], callee = null) => {
+        const start = locator.index(literal.span.start);
+        const record = {
+            kind,
+            specifier: literal.type === 'TemplateLiteral' ? literal.quasis[0].cooked : literal.value,
+            names,
+            start,
+            end: locator.index(literal.span.end),
+            loc: locator.location(start)
+        };
+
+        if (callee) {
+            record.callee = {
+                start: locator.index(callee.span.start),
+                end: locator.index(callee.span.end)
+            };
+        }
+
+        records.push(record);
+    };
+
+    walk(parsed.ast, (node) => {
+        switch (node.type) {
+            case 'ImportDeclaration':
+                if (!node.typeOnly) {
+                    addRecord('import', node.source, getImportNames(node));
+                }
+                return false;
+
+            case 'ExportNamedDeclaration':
+                if (node.source && !node.typeOnly) {
+                    addRecord('export', node.source, getReexportNames(node));
+                }
+                return false;
+
+            case 'ExportAllDeclaration':
+                if (!node.typeOnly) {
+                    addRecord('export', node.source, [{ imported: '*', exported: '*' }]);
+                }
+                return false;
+
+            case 'CallExpression': {
+                const literal = getStaticArgument(node);
+                if (!literal) break;
+
+                if (node.callee.type === 'Import') {
+                    addRecord('dynamic-import', literal, [], node.callee);
+                } else if (node.callee.type === 'Identifier' && node.callee.value === 'require' &&
+                    // Параметр require обёртки browserify/UMD - локальная функция, а не зависимость
+                    node.callee.ctxt === UNRESOLVED_CTXT) {
+                    addRecord('require', literal, [], node.callee);
+                }
+                break;
             }
         }
-    }
+    });
+
+    return records.sort((a, b) => a.start - b.start);
+}
+
+function getImportNames(node) {
+    return node.specifiers
+        .filter(spec => !spec.isTypeOnly)
+        .map(spec => {
+            switch (spec.type) {
+                case 'ImportDefaultSpecifier':
+                    return { imported: 'default', local: spec.local.value };
+                case 'ImportNamespaceSpecifier':
+                    return { imported: '*', local: spec.local.value };
+                default:
+                    return { imported: (spec.imported || spec.local).value, local: spec.local.value };
+            }
+        });
+}
+
+function getReexportNames(node) {
+    return node.specifiers
+        .filter(spec => !spec.isTypeOnly)
+        .map(spec => {
+            switch (spec.type) {
+                case 'ExportNamespaceSpecifier':
+                    return { imported: '*', exported: spec.name.value };
+                case 'ExportDefaultSpecifier':
+                    return { imported: 'default', exported: spec.exported.value };
+                default:
+                    return { imported: spec.orig.value, exported: (spec.exported || spec.orig).value };
+            }
+        });
+}
+
+// import('./x') и require('./x') учитываются только со статическим аргументом
+function getStaticArgument(node) {
+    if (node.arguments.length !== 1 || node.arguments[0].spread) return null;
 
-    return [...imports].filter(dep => dep.startsWith('.'));
-}
\ No newline at end of file
+    const arg = node.arguments[0].expression;
+    if (arg.type === 'StringLiteral') return arg;
+    if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) return arg;
+    return null;
+}
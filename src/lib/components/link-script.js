@@ -0,0 +1,1109 @@
+/**
+ * Связывает модули чанков в ES-модули: ESM-модули чанка объединяются в одну
+ * область видимости (конфликтующие имена верхнего уровня переименовываются),
+ * CommonJS-модули оборачиваются в ленивые фабрики
+ * @param {Object[]} chunks - Чанки из buildChunks
+ * @param {Map<string, Object>} chunkOf - Путь модуля -> чанк
+ * @param {Object} config - Конфигурация сборки
+ * @param {Object} [options] - Встраивание связанных чанков в другой рантайм
+ * @param {Function} [options.dynamicImport] - (путь) => код import() модуля вне связываемых чанков
+ * @param {string[]} [options.exposeModules] - Модули, экспорты которых нужны коду вне чанков
+ * @param {Function} [options.expose] - (путь, выражение exports в стиле CommonJS) => код регистрации
+ * @param {Function} [options.renderExports] - ([имя экспорта, локальное имя][], имена модулей __toESM из
+ *        export * CommonJS-модулей) => код вместо export { ... }
+ * @param {Function} [options.externalImport] - (спецификатор, путь модуля графа или null) => выражение,
+ *        возвращающее модуль вне связываемых чанков, вместо import
+ * @param {string[]} [options.reservedNames] - Имена окружающего кода, которые нельзя занимать
+ * @param {Function} [options.moduleId] - (путь) => ID CommonJS-модуля для require.cache и __filename
+ * @param {Map} [options.cache] - Код чанков прошлой связки по имени чанка: чанк с теми же модулями
+ *        и связями с другими чанками берётся из него, а не рендерится заново
+ * @returns {Map<Object, {code: string, map: Object|null}>} Чанк -> код и sourcemap;
+ *          пути к другим чанкам заданы плейсхолдерами chunkPlaceholder()
+ */
+
+import { transformSync } from "@swc/core";
+import path from "node:path";
+import SourceMapBuilder from "./sourcemap-script.js";
+import { isVirtualModule } from "./module-script.js";
+import { toDisplayPath } from "./utils-script.js";
+import {
+    parseModule,
+    walk,
+    createLocator,
+    getParserOptions,
+    getModuleFormat,
+    getPatternNames,
+    getCommonJSExports,
+    TOP_LEVEL_CTXT,
+    UNRESOLVED_CTXT
+} from "./ast-script.js";
+
+const RUNTIME_HELPERS = {
+    // Общий require.cache: удалённая запись выполнит фабрику заново, как в Node
+    __commonJS: `var __commonJS = ((cache) => (factory, deps, lazy, id) => () => {
+  if (cache[id]) return cache[id].exports;
+  const module = cache[id] = { id, exports: {}, loaded: false };
+  const require = (specifier) => {
+    if (!deps[specifier]) throw new Error('Module not found: ' + specifier);
+    return deps[specifier]();
+  };
+  require.import = (specifier) => lazy[specifier] ? lazy[specifier]() : Promise.reject(new Error('Module not found: ' + specifier));
+  require.cache = cache;
+  const filename = typeof __filename !== 'undefined' ? __filename : id;
+  const dirname = typeof __dirname !== 'undefined' ? __dirname : id.slice(0, id.lastIndexOf('/')) || '.';
+  try {
+    factory.call(module.exports, module.exports, module, require, filename, dirname);
+  } catch (error) {
+    delete cache[id];
+    throw error;
+  }
+  module.loaded = true;
+  return module.exports;
+})(Object.create(null));`,
+    // default - весь module.exports, если модуль не помечен __esModule; свойства читаются через геттеры,
+    // чтобы изменения exports после импорта были видны
+    __toESM: `var __toESM = (mod) => {
+  if (mod && mod.__esModule) return mod;
+  const ns = Object.create(null);
+  if (mod !== null && (typeof mod === 'object' || typeof mod === 'function')) {
+    for (const key of Object.keys(mod)) {
+      if (key !== 'default') Object.defineProperty(ns, key, { enumerable: true, get: () => mod[key] });
+    }
+  }
+  return Object.defineProperty(ns, 'default', { enumerable: true, value: mod });
+};`,
+    __toCommonJS: `var __toCommonJS = (ns) => {
+  const mod = Object.defineProperty({}, '__esModule', { value: true });
+  for (const key in ns) Object.defineProperty(mod, key, { enumerable: true, get: () => ns[key] });
+  return mod;
+};`,
+    // reexports - модули __toESM из export * CommonJS-модулей: их имена известны только при выполнении,
+    // собственные экспорты модуля важнее
+    __export: `var __export = (getters, reexports = []) => {
+  const ns = Object.create(null);
+  for (const key in getters) Object.defineProperty(ns, key, { enumerable: true, get: getters[key] });
+  for (const mod of reexports) {
+    for (const key of Object.keys(mod)) {
+      if (key !== 'default' && !(key in ns)) Object.defineProperty(ns, key, { enumerable: true, get: () => mod[key] });
+    }
+  }
+  Object.defineProperty(ns, Symbol.toStringTag, { value: 'Module' });
+  return Object.freeze(ns);
+};`
+};
+
+const RESERVED_NAMES = new Set([
+    'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+    'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let',
+    'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super',
+    'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while',
+    'with', 'yield', 'NaN', 'Infinity',
+    ...Object.keys(RUNTIME_HELPERS)
+]);
+
+/**
+ * Плейсхолдер пути к чанку, заменяемый на итоговое имя файла после хеширования
+ * @param {number} index - Индекс чанка
+ * @returns {string}
+ */
+
+export function chunkPlaceholder(index) {
+    return `__JOLT_CHUNK_${index}__`;
+}
+
+// Подготовленные модули по узлам графа: при пересборке неизменённые модули не разбираются заново
+const preparedModules = new WeakMap();
+
+export default function linkChunks(chunks, chunkOf, config, options = {}) {
+    const prepared = new Map();
+    const key = `${!!config.sourcemaps}:${config.target}`;
+    for (const chunk of chunks) {
+        for (const mod of chunk.modules) {
+            if (preparedModules.get(mod)?.key !== key) {
+                preparedModules.set(mod, { key, info: prepareModule(mod, config) });
+            }
+            prepared.set(mod.path, preparedModules.get(mod).info);
+        }
+    }
+
+    const linker = new Linker(chunks, chunkOf, prepared, options);
+    return linker.link();
+}
+
+// Транспилирует модуль без смены модульной системы и собирает всё, что нужно линковщику
+function prepareModule(mod, config) {
+    const source = mod.source ?? mod.code;
+    const { code, map } = transformSync(source, {
+        filename: mod.path,
+        sourceMaps: !!config.sourcemaps,
+        jsc: {
+            parser: getParserOptions(mod.path),
+            target: config.target
+        }
+    });
+
+    const { ast, offset } = parseModule(code);
+    const format = getModuleFormat(ast);
+
+    const info = {
+        mod,
+        format,
+        code,
+        map: map && withSourceContent(map, mod.originalSource ?? source),
+        imports: new Map(),     // локальное имя -> { source, imported }
+        exports: new Map(),     // экспортируемое имя -> { local } | { source, imported }
+        stars: [],              // export * from source
+        edits: [],              // правки кода { start, end, text } | { start, end, local, prefix, suffix }
+        dynamicImports: [],     // { start, end, specifier }
+        names: new Set(),       // все имена идентификаторов модуля
+        globals: new Set(),     // неразрешённые (глобальные) имена
+        topLevel: new Set(),    // собственные привязки верхнего уровня
+        commonJSExports: null   // имена exports CommonJS-модуля, найденные в коде
+    };
+
+    if (format === 'cjs') {
+        // Обёртке нужен CommonJS-код из processFile
+        info.code = mod.code;
+        info.map = mod.map;
+        info.commonJSExports = getCommonJSExports(ast);
+        return info;
+    }
+
+    const locator = createLocator(code, offset);
+    const range = (span) => [locator.index(span.start), locator.index(span.end)];
+    // Удалённый код заменяется переводами строк, чтобы не сдвигать строки sourcemap
+    const blank = (start, end) => code.slice(start, end).replace(/[^\n]/g, '');
+
+    for (const item of ast.body) {
+        const [start, end] = range(item.span);
+
+        switch (item.type) {
+            case 'ImportDeclaration':
+                if (item.typeOnly) break;
+                for (const spec of item.specifiers) {
+                    const imported = spec.type === 'ImportDefaultSpecifier' ? 'default'
+                        : spec.type === 'ImportNamespaceSpecifier' ? '*'
+                            : (spec.imported || spec.local).value;
+                    info.imports.set(spec.local.value, { source: item.source.value, imported });
+                }
+                info.edits.push({ start, end, text: blank(start, end) });
+                break;
+
+            case 'ExportNamedDeclaration':
+                for (const spec of item.specifiers) {
+                    if (spec.type === 'ExportNamespaceSpecifier') {
+                        info.exports.set(spec.name.value, { source: item.source.value, imported: '*' });
+                    } else if (spec.type === 'ExportDefaultSpecifier') {
+                        info.exports.set(spec.exported.value, { source: item.source.value, imported: 'default' });
+                    } else {
+                        const exported = (spec.exported || spec.orig).value;
+                        info.exports.set(exported, item.source
+                            ? { source: item.source.value, imported: spec.orig.value }
+                            : { local: spec.orig.value });
+                    }
+                }
+                info.edits.push({ start, end, text: blank(start, end) });
+                break;
+
+            case 'ExportAllDeclaration':
+                info.stars.push(item.source.value);
+                info.edits.push({ start, end, text: blank(start, end) });
+                break;
+
+            case 'ExportDeclaration': {
+                const decl = item.declaration;
+                info.edits.push({ start, end: range(decl.span)[0], text: blank(start, range(decl.span)[0]) });
+
+                if (decl.type === 'VariableDeclaration') {
+                    for (const declarator of decl.declarations) {
+                        for (const name of getPatternNames(declarator.id)) {
+                            info.exports.set(name, { local: name });
+                        }
+                    }
+                } else {
+                    info.exports.set(decl.identifier.value, { local: decl.identifier.value });
+                }
+                break;
+            }
+
+            case 'ExportDefaultDeclaration': {
+                const decl = item.decl;
+                const [declStart, declEnd] = range(decl.span);
+                info.edits.push({ start, end: declStart, text: blank(start, declStart) });
+
+                if (decl.identifier) {
+                    info.exports.set('default', { local: decl.identifier.value });
+                    break;
+                }
+
+                // Анонимной функции или классу нужно имя, чтобы на него можно было сослаться
+                const insertAt = decl.type === 'ClassExpression'
+                    ? declStart + 'class'.length
+                    : code.indexOf('(', declStart);
+                if (insertAt < declStart || insertAt > declEnd) {
+                    throw new Error(`Unsupported default export in ${mod.path}`);
+                }
+                info.edits.push({ start: insertAt, end: insertAt, local: '*default*', prefix: ' ' });
+                info.exports.set('default', { local: '*default*' });
+                info.topLevel.add('*default*');
+                break;
+            }
+
+            case 'ExportDefaultExpression': {
+                const expression = item.expression;
+                if (expression.type === 'Identifier' && expression.ctxt === TOP_LEVEL_CTXT) {
+                    info.edits.push({ start, end, text: blank(start, end) });
+                    info.exports.set('default', { local: expression.value });
+                    break;
+                }
+
+                info.edits.push({ start, end: range(expression.span)[0], local: '*default*', prefix: 'var ', suffix: ' = ' });
+                info.exports.set('default', { local: '*default*' });
+                info.topLevel.add('*default*');
+                break;
+            }
+        }
+    }
+
+    // Идентификаторы верхнего уровня и динамические импорты
+    walk(ast, (node, parent) => {
+        switch (node.type) {
+            case 'ImportDeclaration':
+            case 'ExportNamedDeclaration':
+            case 'ExportAllDeclaration':
+                return false;
+
+            case 'CallExpression': {
+                const arg = node.arguments[0]?.expression;
+                if (node.callee.type === 'Import' && node.arguments.length === 1 && arg.type === 'StringLiteral') {
+                    const [start, end] = range(node.span);
+                    info.dynamicImports.push({ start, end, specifier: arg.value });
+                    return false;
+                }
+                break;
+            }
+
+            case 'Identifier': {
+                if (node.ctxt === undefined) break;
+                info.names.add(node.value);
+
+                if (node.ctxt === UNRESOLVED_CTXT) {
+                    info.globals.add(node.value);
+                } else if (node.ctxt === TOP_LEVEL_CTXT) {
+                    const [start, end] = range(node.span);
+                    const shorthand = parent?.type === 'ObjectExpression' ||
+                        (parent?.type === 'AssignmentPatternProperty' && parent.key === node);
+
+                    if (!info.imports.has(node.value)) info.topLevel.add(node.value);
+                    info.edits.push({
+                        start,
+                        end,
+                        local: node.value,
+                        prefix: shorthand ? `${node.value}: ` : ''
+                    });
+                }
+                break;
+            }
+        }
+    });
+
+    return info;
+}
+
+function withSourceContent(map, content) {
+    const parsed = typeof map === 'string' ? JSON.parse(map) : map;
+    return { ...parsed, sourcesContent: [content] };
+}
+
+// Убирает пустые строки в начале кода и возвращает их количество для сдвига sourcemap
+function stripLeadingLines(code) {
+    const match = code.match(/^\s*\n/);
+    if (!match) return { code, lines: 0 };
+    return { code: code.slice(match[0].length), lines: match[0].split('\n').length - 1 };
+}
+
+function isIdentifierName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+function toIdentifier(name) {
+    const result = name.replace(/[^\w$]/g, '_');
+    return /^\d/.test(result) ? `_${result}` : result;
+}
+
+class Linker {
+    #chunks;
+    #chunkOf;
+    #prepared;
+    #options;
+
+    // Символ: ключ -> { chunk, module, name, referrers: Map<путь модуля, локальное имя> }
+    #symbols = new Map();
+    // Чанк -> состояние: занятые имена, импорты, экспорты, хелперы
+    #chunkState = new Map();
+
+    constructor(chunks, chunkOf, prepared, options) {
+        this.#chunks = chunks;
+        this.#chunkOf = chunkOf;
+        this.#prepared = prepared;
+        this.#options = options;
+    }
+
+    link() {
+        for (const chunk of this.#chunks) {
+            this.#chunkState.set(chunk, {
+                reserved: new Set([...RESERVED_NAMES, ...this.#options.reservedNames || []]),
+                claimed: new Set(),
+                helpers: new Set(),
+                chunkImports: new Map(),       // чанк -> Map<имя экспорта, ключ локального символа>
+                externalImports: new Map(),    // source -> Map<imported, ключ символа>
+                externalModules: new Map(),    // путь модуля или source -> { key, source, resolved } для options.externalImport
+                exports: new Map(),            // имя экспорта -> ключ символа
+                exportOf: new Map(),           // ключ символа -> имя экспорта
+                namespaces: [],                // модули, которым нужен объект пространства имён
+                exposed: [],                   // { modulePath, plan } для options.expose
+                interop: new Map()             // путь модуля -> [ключи переменных __toESM]
+            });
+        }
+
+        for (const chunk of this.#chunks) {
+            const state = this.#chunkState.get(chunk);
+            for (const mod of chunk.modules) {
+                for (const name of this.#prepared.get(mod.path).globals) state.reserved.add(name);
+            }
+        }
+
+        // 1. Собственные привязки модулей
+        for (const chunk of this.#chunks) {
+            for (const mod of chunk.modules) {
+                const info = this.#prepared.get(mod.path);
+                if (info.format === 'cjs') {
+                    this.#declare(`${mod.path}::*cjs*`, chunk, mod.path, `require_${this.#baseName(mod.path)}`);
+                    continue;
+                }
+                for (const local of info.topLevel) {
+                    const name = local === '*default*' ? `${this.#baseName(mod.path)}_default` : local;
+                    this.#declare(`${mod.path}::${local}`, chunk, mod.path, name, local);
+                }
+            }
+        }
+
+        // 2. Разрешение импортов, динамических импортов и экспортов entry
+        // Публичные экспорты entry планируются первыми, чтобы внутренние экспорты не заняли их имена
+        this.#plans = new Map();
+        for (const chunk of this.#chunks) {
+            if (chunk.entryPath && chunk.kind !== 'shared') {
+                this.#planEntryExports(chunk);
+            }
+        }
+        for (const chunk of this.#chunks) {
+            for (const mod of chunk.modules) {
+                const info = this.#prepared.get(mod.path);
+                if (info.format === 'cjs') {
+                    this.#planCommonJS(chunk, info);
+                } else {
+                    this.#planModule(chunk, info);
+                }
+            }
+        }
+
+        for (const modulePath of this.#options.exposeModules || []) {
+            const chunk = this.#chunkOf.get(modulePath);
+            const state = this.#chunkState.get(chunk);
+            const plan = this.#prepared.get(modulePath).format === 'cjs'
+                ? { key: `${modulePath}::*cjs*`, call: true }
+                : this.#useNamespace(chunk, modulePath);
+
+            if (!plan.call) state.helpers.add('__toCommonJS');
+            state.exposed.push({ modulePath, plan });
+        }
+
+        // 3. Имена и код
+        this.#assignNames();
+
+        const result = new Map();
+        for (const chunk of this.#chunks) {
+            result.set(chunk, this.#options.cache ? this.#renderCached(chunk) : this.#renderChunk(chunk));
+        }
+
+        // Чанки, которых больше нет, из кеша удаляются
+        const names = new Set(this.#chunks.map(chunk => chunk.name));
+        for (const name of this.#options.cache?.keys() || []) {
+            if (!names.has(name)) this.#options.cache.delete(name);
+        }
+        return result;
+    }
+
+    // Код чанка зависит от подготовленных модулей и от того, что дало связывание всех чанков:
+    // имён его символов, импортов, экспортов и планов подстановки его модулей
+    #renderCached(chunk) {
+        const infos = chunk.modules.map(mod => this.#prepared.get(mod.path));
+        // Занятые имена уже отражены в именах символов
+        const { reserved, claimed, ...links } = this.#chunkState.get(chunk);
+        const signature = JSON.stringify({
+            index: this.#chunks.indexOf(chunk),
+            symbols: [...this.#symbols].filter(([, symbol]) => symbol.chunk === chunk),
+            plans: chunk.modules.map(mod => this.#plans.get(mod.path)),
+            links
+        }, (key, value) => {
+            if (value instanceof Map || value instanceof Set) return [...value];
+            // Чанк в связях - это индекс его плейсхолдера
+            return this.#chunkState.has(value) ? this.#chunks.indexOf(value) : value;
+        });
+
+        const cached = this.#options.cache.get(chunk.name);
+        if (cached?.signature === signature && cached.infos.length === infos.length &&
+            cached.infos.every((info, index) => info === infos[index])) {
+            return cached.result;
+        }
+
+        const result = this.#renderChunk(chunk);
+        this.#options.cache.set(chunk.name, { infos, signature, result });
+        return result;
+    }
+
+    #plans;
+
+    #baseName(modulePath) {
+        const base = path.basename(modulePath, path.extname(modulePath));
+        return toIdentifier(base === 'index' ? path.basename(path.dirname(modulePath)) : base);
+    }
+
+    #declare(key, chunk, modulePath, name, local = name) {
+        if (!this.#symbols.has(key)) {
+            this.#symbols.set(key, { chunk, module: modulePath, preferred: name, name: null, referrers: new Map() });
+        }
+        const symbol = this.#symbols.get(key);
+        if (modulePath) symbol.referrers.set(modulePath, local);
+        return symbol;
+    }
+
+    #resolveSpecifier(info, specifier) {
+        const resolvedPath = info.mod.resolved?.[specifier];
+        return resolvedPath && this.#prepared.has(resolvedPath) ? resolvedPath : null;
+    }
+
+    /**
+     * Находит, на что указывает экспорт модуля
+     * @returns {Object|null} { type: 'symbol', key } | { type: 'namespace', module }
+     *                        | { type: 'cjs', module, name } | { type: 'external', source, imported }
+     */
+    #resolveExport(modulePath, name, stack = new Set()) {
+        const info = this.#prepared.get(modulePath);
+        if (info.format === 'cjs') {
+            return name === '*' ? { type: 'namespace', module: modulePath } : { type: 'cjs', module: modulePath, name };
+        }
+
+        const stackKey = `${modulePath}::${name}`;
+        if (stack.has(stackKey)) return null;
+        stack.add(stackKey);
+
+        const entry = info.exports.get(name);
+        if (entry) {
+            if (entry.local) {
+                return info.imports.has(entry.local)
+                    ? this.#resolveImport(info, entry.local, stack)
+                    : { type: 'symbol', key: `${modulePath}::${entry.local}` };
+            }
+            return this.#resolveReexport(info, entry.source, entry.imported, stack);
+        }
+
+        if (name === 'default') return null;
+
+        const found = new Map();
+        const commonJS = [];
+        for (const source of info.stars) {
+            const target = this.#resolveReexport(info, source, name, stack);
+            if (!target) continue;
+            if (target.type === 'cjs') commonJS.push(target);
+            else found.set(JSON.stringify(target), target);
+        }
+        // Одинаковое имя из нескольких export * неоднозначно и не экспортируется
+        if (found.size) return found.size === 1 ? [...found.values()][0] : null;
+        // Имена CommonJS-модуля известны только при выполнении: имя берётся у первого из них,
+        // как при копировании exports в пространство имён
+        return commonJS[0] || null;
+    }
+
+    #resolveImport(info, local, stack = new Set()) {
+        const { source, imported } = info.imports.get(local);
+        return this.#resolveReexport(info, source, imported, stack);
+    }
+
+    #resolveReexport(info, source, imported, stack) {
+        const target = this.#resolveSpecifier(info, source);
+        if (!target) return { type: 'external', source, imported, resolved: info.mod.resolved?.[source] ?? null };
+        if (imported === '*') return { type: 'namespace', module: target };
+        return this.#resolveExport(target, imported, stack);
+    }
+
+    // Все имена, которые экспортирует модуль, включая export *. У CommonJS-модуля - имена,
+    // найденные в его коде
+    #getExportNames(modulePath, visited = new Set()) {
+        const info = this.#prepared.get(modulePath);
+        if (info.format === 'cjs') return [...info.commonJSExports];
+        if (visited.has(modulePath)) return [];
+        visited.add(modulePath);
+
+        const names = new Set(info.exports.keys());
+        const starNames = new Map();
+        for (const source of info.stars) {
+            const target = this.#resolveSpecifier(info, source);
+            if (!target) continue;
+            for (const name of this.#getExportNames(target, visited)) {
+                if (name === 'default' || names.has(name)) continue;
+                starNames.set(name, (starNames.get(name) || 0) + 1);
+            }
+        }
+        for (const [name, count] of starNames) {
+            if (count === 1 || this.#resolveExport(modulePath, name)) names.add(name);
+        }
+        return [...names];
+    }
+
+    // CommonJS-модули, которые модуль реэкспортирует через export *, в том числе через другие модули
+    #getCommonJSStars(modulePath, visited = new Set()) {
+        const info = this.#prepared.get(modulePath);
+        if (info.format === 'cjs') return [modulePath];
+        if (visited.has(modulePath)) return [];
+        visited.add(modulePath);
+
+        return info.stars.flatMap(source => {
+            const target = this.#resolveSpecifier(info, source);
+            return target ? this.#getCommonJSStars(target, visited) : [];
+        });
+    }
+
+    /**
+     * Возвращает ключ символа, доступного в чанке как локальная привязка;
+     * для символов из других чанков добавляет импорт чанка
+     */
+    #useSymbol(chunk, key, referrer = null, alias = null) {
+        const symbol = this.#symbols.get(key);
+        if (symbol.chunk === chunk) {
+            if (referrer && alias && !symbol.referrers.has(referrer)) symbol.referrers.set(referrer, alias);
+            return key;
+        }
+
+        const exportName = this.#exportSymbol(symbol.chunk, key);
+        const state = this.#chunkState.get(chunk);
+        if (!state.chunkImports.has(symbol.chunk)) state.chunkImports.set(symbol.chunk, new Map());
+
+        const importKey = `${this.#chunks.indexOf(chunk)}::import::${key}`;
+        state.chunkImports.get(symbol.chunk).set(exportName, importKey);
+        const local = this.#declare(importKey, chunk, null, symbol.preferred);
+        if (referrer && alias) local.referrers.set(referrer, alias);
+        return importKey;
+    }
+
+    #exportSymbol(chunk, key, exportName = null) {
+        const state = this.#chunkState.get(chunk);
+        if (state.exportOf.has(key) && !exportName) return state.exportOf.get(key);
+
+        // Внутренние экспорты получают имена по мере необходимости, они не пересекаются с публичными
+        let name = exportName || `${this.#symbols.get(key).preferred}`;
+        if (!exportName) {
+            for (let i = 1; state.exports.has(name) || name === 'default'; i++) {
+                name = `${this.#symbols.get(key).preferred}$${i}`;
+            }
+        }
+
+        state.exports.set(name, key);
+        if (!state.exportOf.has(key)) state.exportOf.set(key, name);
+        return name;
+    }
+
+    // Символ пространства имён модуля (объект __export или __toESM для CommonJS)
+    #useNamespace(chunk, modulePath, referrer = null) {
+        const info = this.#prepared.get(modulePath);
+
+        if (info.format === 'cjs') {
+            return { interop: this.#useInterop(chunk, modulePath, referrer) };
+        }
+
+        const key = `${modulePath}::*ns*`;
+        if (!this.#symbols.has(key)) {
+            const owner = this.#chunkOf.get(modulePath);
+            this.#declare(key, owner, null, `ns_${this.#baseName(modulePath)}`);
+            this.#chunkState.get(owner).namespaces.push(modulePath);
+            this.#chunkState.get(owner).helpers.add('__export');
+
+            // Геттеры пространства имён ссылаются на все экспорты модуля. CommonJS-модули
+            // выполняются в начале кода модуля, как при импорте
+            const getters = [];
+            for (const name of this.#getExportNames(modulePath)) {
+                const target = this.#resolveExport(modulePath, name);
+                if (target) getters.push({ name, target: this.#useTarget(owner, target, modulePath) });
+            }
+            this.#symbols.get(key).getters = getters;
+            // Имена, которых нет в коде CommonJS-модулей, копируются из их exports при выполнении
+            this.#symbols.get(key).reexports = this.#getCommonJSStars(modulePath)
+                .map(target => this.#useInterop(owner, target, modulePath));
+        }
+
+        return { key: this.#useSymbol(chunk, key) };
+    }
+
+    // Переменная import_x = __toESM(require_x()) в модуле referrer
+    #useInterop(chunk, modulePath, referrer) {
+        const state = this.#chunkState.get(chunk);
+        const scope = referrer || '*chunk*';
+        const key = `${this.#chunks.indexOf(chunk)}::${scope}::interop::${modulePath}`;
+
+        if (!this.#symbols.has(key)) {
+            this.#declare(key, chunk, null, `import_${this.#baseName(modulePath)}`);
+            this.#symbols.get(key).requireKey = this.#useSymbol(chunk, `${modulePath}::*cjs*`);
+            if (!state.interop.has(scope)) state.interop.set(scope, []);
+            state.interop.get(scope).push(key);
+            state.helpers.add('__toESM');
+        }
+        if (referrer) this.#symbols.get(key).referrers.set(referrer, null);
+        return key;
+    }
+
+    #useExternal(chunk, source, imported) {
+        const state = this.#chunkState.get(chunk);
+        if (!state.externalImports.has(source)) state.externalImports.set(source, new Map());
+
+        const imports = state.externalImports.get(source);
+        if (!imports.has(imported)) {
+            const key = `${this.#chunks.indexOf(chunk)}::external::${source}::${imported}`;
+            const preferred = imported === '*' || imported === 'default'
+                ? toIdentifier(source.split('/').pop())
+                : toIdentifier(imported);
+            this.#declare(key, chunk, null, preferred);
+            imports.set(imported, key);
+        }
+        return imports.get(imported);
+    }
+
+    // Внешний модуль, загружаемый через options.externalImport: var import_x = __toESM(...)
+    #useExternalModule(chunk, source, resolved = null) {
+        const state = this.#chunkState.get(chunk);
+        // Одинаковый спецификатор в разных каталогах может указывать на разные модули графа
+        const id = resolved || source;
+        if (!state.externalModules.has(id)) {
+            const key = `${this.#chunks.indexOf(chunk)}::external-module::${id}`;
+            this.#declare(key, chunk, null, `import_${toIdentifier(source.split('/').pop())}`);
+            state.externalModules.set(id, { key, source, resolved });
+            state.helpers.add('__toESM');
+        }
+        return state.externalModules.get(id).key;
+    }
+
+    /**
+     * Превращает цель разрешения в план подстановки: { key } | { interop, member } | { key, member }
+     */
+    #useTarget(chunk, target, referrer, alias = null) {
+        switch (target.type) {
+            case 'symbol':
+                return { key: this.#useSymbol(chunk, target.key, referrer, alias) };
+            case 'namespace':
+                return this.#useNamespace(chunk, target.module, referrer);
+            case 'cjs':
+                return { interop: this.#useInterop(chunk, target.module, referrer), member: target.name };
+            case 'external':
+                if (this.#options.externalImport) {
+                    return {
+                        interop: this.#useExternalModule(chunk, target.source, target.resolved),
+                        member: target.imported === '*' ? null : target.imported
+                    };
+                }
+                return { key: this.#useExternal(chunk, target.source, target.imported) };
+        }
+    }
+
+    #planModule(chunk, info) {
+        const plan = { bindings: new Map(), dynamicImports: [] };
+        this.#plans.set(info.mod.path, plan);
+
+        for (const [local] of info.imports) {
+            const target = this.#resolveImport(info, local);
+            if (!target) {
+                const { source, imported } = info.imports.get(local);
+                throw new Error(`'${imported}' is not exported by '${source}' (imported by ${info.mod.path})`);
+            }
+            plan.bindings.set(local, this.#useTarget(chunk, target, info.mod.path, local));
+        }
+
+        // Статические зависимости из других чанков должны выполниться раньше
+        for (const record of info.mod.imports || []) {
+            if (record.kind === 'dynamic-import') continue;
+            const target = this.#resolveSpecifier(info, record.specifier);
+            const targetChunk = target && this.#chunkOf.get(target);
+            if (targetChunk && targetChunk !== chunk) {
+                const state = this.#chunkState.get(chunk);
+                if (!state.chunkImports.has(targetChunk)) state.chunkImports.set(targetChunk, new Map());
+            }
+        }
+
+        for (const dynamicImport of info.dynamicImports) {
+            plan.dynamicImports.push({
+                ...dynamicImport,
+                ...this.#planDynamicImport(chunk, info, dynamicImport.specifier)
+            });
+        }
+    }
+
+    #planDynamicImport(chunk, info, specifier) {
+        const target = this.#resolveSpecifier(info, specifier);
+        if (!target) {
+            // Модуль графа вне связываемых чанков загружает внешний рантайм
+            const resolvedPath = info.mod.resolved?.[specifier];
+            return resolvedPath && this.#options.dynamicImport
+                ? { text: this.#options.dynamicImport(resolvedPath) }
+                : { text: null };
+        }
+
+        const targetChunk = this.#chunkOf.get(target);
+        if (targetChunk === chunk) {
+            return { namespace: this.#useNamespace(chunk, target, info.mod.path) };
+        }
+
+        const index = this.#chunks.indexOf(targetChunk);
+        const targetInfo = this.#prepared.get(target);
+        if (targetChunk.entryPath === target && targetInfo.format === 'esm' && !this.#getCommonJSStars(target).length) {
+            // Экспорты чанка совпадают с экспортами модуля: пространство имён отдаёт сам import()
+            return { chunkIndex: index };
+        }
+
+        const { key, interop } = this.#useNamespace(targetChunk, target);
+        const exportName = this.#exportSymbol(targetChunk, key || interop);
+        return { chunkIndex: index, member: exportName };
+    }
+
+    #planCommonJS(chunk, info) {
+        const plan = { deps: [], lazy: [] };
+        this.#plans.set(info.mod.path, plan);
+        this.#chunkState.get(chunk).helpers.add('__commonJS');
+
+        for (const record of info.mod.imports || []) {
+            const target = this.#resolveSpecifier(info, record.specifier);
+
+            if (record.kind === 'dynamic-import') {
+                plan.lazy.push({
+                    specifier: record.specifier,
+                    ...this.#planDynamicImport(chunk, info, record.specifier)
+                });
+                continue;
+            }
+
+            if (!target) {
+                plan.deps.push(this.#options.externalImport
+                    ? { specifier: record.specifier, code: this.#options.externalImport(record.specifier, info.mod.resolved?.[record.specifier] ?? null) }
+                    : { specifier: record.specifier, external: this.#useExternal(chunk, record.specifier, '*') });
+                continue;
+            }
+
+            const targetInfo = this.#prepared.get(target);
+            if (targetInfo.format === 'cjs') {
+                plan.deps.push({ specifier: record.specifier, key: this.#useSymbol(chunk, `${target}::*cjs*`) });
+            } else {
+                this.#chunkState.get(chunk).helpers.add('__toCommonJS');
+                plan.deps.push({ specifier: record.specifier, namespace: this.#useNamespace(chunk, target) });
+            }
+
+            const targetChunk = this.#chunkOf.get(target);
+            if (targetChunk !== chunk) {
+                const state = this.#chunkState.get(chunk);
+                if (!state.chunkImports.has(targetChunk)) state.chunkImports.set(targetChunk, new Map());
+            }
+        }
+    }
+
+    #planEntryExports(chunk) {
+        const info = this.#prepared.get(chunk.entryPath);
+        const state = this.#chunkState.get(chunk);
+
+        if (info.format === 'cjs') {
+            const interop = this.#useInterop(chunk, chunk.entryPath, null);
+            this.#exportSymbol(chunk, interop, 'default');
+            return;
+        }
+
+        // Объект экспортов получает и имена CommonJS-модулей, которых нет в их коде
+        if (this.#options.renderExports) {
+            state.reexports = this.#getCommonJSStars(chunk.entryPath)
+                .map(target => this.#useInterop(chunk, target, chunk.entryPath));
+        }
+
+        for (const name of this.#getExportNames(chunk.entryPath)) {
+            const target = this.#resolveExport(chunk.entryPath, name);
+            if (!target) continue;
+
+            const plan = this.#useTarget(chunk, target, chunk.entryPath);
+            if (plan.key) {
+                this.#exportSymbol(chunk, plan.key, name);
+                continue;
+            }
+
+            // Член CommonJS-модуля нельзя экспортировать напрямую: сохраняем в переменную
+            const key = `${this.#chunks.indexOf(chunk)}::export::${name}`;
+            this.#declare(key, chunk, null, toIdentifier(name));
+            this.#symbols.get(key).value = plan;
+            state.derived = state.derived || [];
+            state.derived.push(key);
+            this.#exportSymbol(chunk, key, name);
+        }
+    }
+
+    #assignNames() {
+        for (const [key, symbol] of this.#symbols) {
+            const state = this.#chunkState.get(symbol.chunk);
+            let name = toIdentifier(symbol.preferred);
+
+            for (let i = 1; !this.#isNameFree(state, symbol, name); i++) {
+                name = `${toIdentifier(symbol.preferred)}$${i}`;
+            }
+
+            symbol.name = name;
+            state.claimed.add(name);
+        }
+    }
+
+    #isNameFree(state, symbol, name) {
+        if (state.claimed.has(name) || state.reserved.has(name)) return false;
+
+        // Новое имя не должно совпасть с другими именами модулей, которые ссылаются на символ
+        for (const [modulePath, local] of symbol.referrers) {
+            if (local === name) continue;
+            if (this.#prepared.get(modulePath).names.has(name)) return false;
+        }
+        return true;
+    }
+
+    #name(key) {
+        return this.#symbols.get(key).name;
+    }
+
+    // Без options.moduleId - путь относительно рабочего каталога, чтобы в бандл не попадали абсолютные пути
+    #getModuleId(modulePath) {
+        if (this.#options.moduleId) return this.#options.moduleId(modulePath);
+        return isVirtualModule(modulePath) ? toDisplayPath(modulePath) : `./${toDisplayPath(modulePath)}`;
+    }
+
+    #renderPlan(plan) {
+        if (plan.interop) {
+            const base = this.#name(plan.interop);
+            if (!plan.member) return base;
+            return isIdentifierName(plan.member) ? `${base}.${plan.member}` : `${base}[${JSON.stringify(plan.member)}]`;
+        }
+        return this.#name(plan.key);
+    }
+
+    #renderChunk(chunk) {
+        const state = this.#chunkState.get(chunk);
+        const parts = [];
+
+        // Импорты внешних зависимостей
+        for (const [source, imports] of state.externalImports) {
+            const specifiers = [];
+            for (const [imported, key] of imports) {
+                if (imported === '*') {
+                    parts.push(`import * as ${this.#name(key)} from ${JSON.stringify(source)};`);
+                } else {
+                    specifiers.push(imported === this.#name(key) ? imported : `${imported} as ${this.#name(key)}`);
+                }
+            }
+            if (specifiers.length || !imports.size) {
+                parts.push(`import { ${specifiers.join(', ')} } from ${JSON.stringify(source)};`);
+            }
+        }
+
+        // Импорты других чанков
+        for (const [targetChunk, imports] of state.chunkImports) {
+            const from = JSON.stringify(chunkPlaceholder(this.#chunks.indexOf(targetChunk)));
+            const specifiers = [...imports].map(([exportName, key]) =>
+                exportName === this.#name(key) ? exportName : `${exportName} as ${this.#name(key)}`
+            );
+            parts.push(specifiers.length
+                ? `import { ${specifiers.join(', ')} } from ${from};`
+                : `import ${from};`);
+        }
+
+        for (const helper of Object.keys(RUNTIME_HELPERS)) {
+            if (state.helpers.has(helper)) parts.push(RUNTIME_HELPERS[helper]);
+        }
+
+        // Пространства имён: геттеры ленивые, поэтому объявляются до кода модулей. Пространству
+        // имён с export * из CommonJS нужны exports этих модулей: оно объявляется в коде модуля
+        for (const modulePath of state.namespaces) {
+            const symbol = this.#symbols.get(`${modulePath}::*ns*`);
+            if (!symbol.reexports.length) parts.push(this.#renderNamespace(symbol));
+        }
+
+        for (const { key, source, resolved } of state.externalModules.values()) {
+            parts.push(`var ${this.#name(key)} = __toESM(${this.#options.externalImport(source, resolved)});`);
+        }
+
+        for (const mod of chunk.modules) {
+            const info = this.#prepared.get(mod.path);
+            const id = toDisplayPath(mod.path);
+            const rendered = info.format === 'cjs' ? this.#renderCommonJS(chunk, info) : this.#renderModule(chunk, info);
+            // Модули из одних импортов и экспортов не оставляют кода
+            if (rendered.code) parts.push(`// ${id}`, rendered);
+        }
+
+        // CommonJS-модули экспортов чанка выполняются после кода чанка: фабрики объявлены в нём
+        for (const key of state.interop.get('*chunk*') || []) {
+            const symbol = this.#symbols.get(key);
+            parts.push(`var ${symbol.name} = __toESM(${this.#name(symbol.requireKey)}());`);
+        }
+
+        for (const key of state.derived || []) {
+            const symbol = this.#symbols.get(key);
+            parts.push(`var ${symbol.name} = ${this.#renderPlan(symbol.value)};`);
+        }
+
+        for (const { modulePath, plan } of state.exposed) {
+            const exports = plan.call
+                ? `${this.#name(plan.key)}()`
+                : `__toCommonJS(${this.#renderPlan(plan)})`;
+            parts.push(this.#options.expose(modulePath, exports));
+        }
+
+        if (this.#options.renderExports) {
+            const code = this.#options.renderExports(
+                [...state.exports].map(([exportName, key]) => [exportName, this.#name(key)]),
+                (state.reexports || []).map(key => this.#name(key))
+            );
+            if (code) parts.push(code);
+        } else if (state.exports.size) {
+            const specifiers = [...state.exports].map(([exportName, key]) =>
+                exportName === this.#name(key) ? exportName : `${this.#name(key)} as ${exportName}`
+            );
+            parts.push(`export { ${specifiers.join(', ')} };`);
+        }
+
+        const out = new SourceMapBuilder();
+        parts.forEach((part, index) => {
+            if (index > 0) out.append('\n\n');
+            if (typeof part === 'string') out.append(part);
+            else out.appendMapped(part.code, part.map, part);
+        });
+        out.append('\n');
+
+        return { code: out.code, map: out.toJSON() };
+    }
+
+    #renderModule(chunk, info) {
+        const plan = this.#plans.get(info.mod.path);
+        const state = this.#chunkState.get(chunk);
+        const edits = [];
+
+        for (const edit of info.edits) {
+            if (edit.local === undefined) {
+                edits.push(edit);
+                continue;
+            }
+
+            const replacement = plan.bindings.has(edit.local)
+                ? this.#renderPlan(plan.bindings.get(edit.local))
+                : this.#name(`${info.mod.path}::${edit.local}`);
+
+            if (edit.start === edit.end || replacement !== edit.local || edit.prefix !== `${edit.local}: `) {
+                edits.push({
+                    start: edit.start,
+                    end: edit.end,
+                    text: `${edit.prefix || ''}${replacement}${edit.suffix || ''}`
+                });
+            }
+        }
+
+        for (const dynamicImport of plan.dynamicImports) {
+            const text = this.#renderDynamicImport(dynamicImport);
+            if (text) edits.push({ start: dynamicImport.start, end: dynamicImport.end, text });
+        }
+
+        let interop = (state.interop.get(info.mod.path) || []).map(key => {
+            const symbol = this.#symbols.get(key);
+            return `var ${symbol.name} = __toESM(${this.#name(symbol.requireKey)}());\n`;
+        }).join('');
+        const namespace = this.#symbols.get(`${info.mod.path}::*ns*`);
+        if (namespace?.reexports.length) interop += `${this.#renderNamespace(namespace)}\n`;
+
+        const body = stripLeadingLines(applyEdits(info.code, edits).trimEnd());
+        return {
+            code: interop + body.code,
+            map: info.map,
+            lineOffset: interop.split('\n').length - 1 - body.lines
+        };
+    }
+
+    #renderNamespace(symbol) {
+        const getters = symbol.getters
+            .map(({ name, target }) => `  ${JSON.stringify(name)}: () => ${this.#renderPlan(target)}`)
+            .join(',\n');
+        const reexports = symbol.reexports.length
+            ? `, [${symbol.reexports.map(key => this.#name(key)).join(', ')}]`
+            : '';
+        return `var ${symbol.name} = __export({\n${getters}\n}${reexports});`;
+    }
+
+    #renderDynamicImport(dynamicImport) {
+        if (dynamicImport.text !== undefined) return dynamicImport.text;
+
+        if (dynamicImport.namespace) {
+            return `Promise.resolve().then(() => ${this.#renderPlan(dynamicImport.namespace)})`;
+        }
+
+        const call = `import(${JSON.stringify(chunkPlaceholder(dynamicImport.chunkIndex))})`;
+        return dynamicImport.member
+            ? `${call}.then((m) => m[${JSON.stringify(dynamicImport.member)}])`
+            : call;
+    }
+
+    #renderCommonJS(chunk, info) {
+        const plan = this.#plans.get(info.mod.path);
+
+        const deps = plan.deps.map(dep => {
+            let value;
+            if (dep.key) value = `${this.#name(dep.key)}()`;
+            else if (dep.namespace) value = `__toCommonJS(${this.#renderPlan(dep.namespace)})`;
+            else if (dep.code) value = dep.code;
+            else value = this.#name(dep.external);
+            return `  ${JSON.stringify(dep.specifier)}: () => ${value}`;
+        });
+
+        const lazy = plan.lazy
+            .map(dep => {
+                const text = this.#renderDynamicImport(dep);
+                return text && `  ${JSON.stringify(dep.specifier)}: () => ${text}`;
+            })
+            .filter(Boolean);
+
+        const name = this.#name(`${info.mod.path}::*cjs*`);
+        const body = stripLeadingLines(info.code.trimEnd());
+
+        const renderMap = (entries) => entries.length ? `{\n${entries.join(',\n')}\n}` : '{}';
+
+        return {
+            code: `var ${name} = __commonJS(function(exports, module, require, __filename, __dirname) {\n  ${body.code.replace(/\n/g, '\n  ')}\n}, ${renderMap(deps)}, ${renderMap(lazy)}, ${JSON.stringify(this.#getModuleId(info.mod.path))});`,
+            map: info.map,
+            lineOffset: 1 - body.lines,
+            columnOffset: 2
+        };
+    }
+}
+
+/**
+ * Применяет непересекающиеся правки к коду
+ * @param {string} code - Исходный код
+ * @param {Object[]} edits - Правки { start, end, text }
+ * @returns {string}
+ */
+
+export function applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+    let result = '';
+    let lastIndex = 0;
+
+    for (const edit of sorted) {
+        if (edit.start < lastIndex) continue;
+        result += code.slice(lastIndex, edit.start) + edit.text;
+        lastIndex = edit.end;
+    }
+
+    return result + code.slice(lastIndex);
+}
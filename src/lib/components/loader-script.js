@@ -0,0 +1,235 @@
+/**
+ * Превращает файл, не являющийся JS, в исходник ES-модуля согласно выбранному загрузчику
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к файлу
+ * @param {Buffer} content - Содержимое файла
+ * @param {string} loader - Загрузчик из getLoader()
+ * @returns {Promise<{code: string, assets: Object[], css?: string, files?: string[]}>} Код модуля, файлы,
+ *          которые нужно положить рядом с бандлом, CSS и подключённые им файлы для загрузчика css
+ * @throws {Error} Если JSON некорректен или загрузчик неизвестен
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { generateHashedFileName } from "../../utils/hash-utils.js";
+import compileStyle from "./style-script.js";
+import { splitQuery } from "./module-script.js";
+import { applyAlias } from "./alias-script.js";
+
+// Загрузчики по расширению; config.loader дополняет и переопределяет их
+const DEFAULT_LOADERS = {
+    '.js': 'js',
+    '.mjs': 'js',
+    '.cjs': 'js',
+    '.jsx': 'js',
+    '.ts': 'js',
+    '.mts': 'js',
+    '.cts': 'js',
+    '.tsx': 'js',
+    '.json': 'json',
+    '.txt': 'text',
+    '.css': 'css',
+    '.scss': 'css',
+    '.sass': 'css',
+    '.less': 'css',
+    '.png': 'file',
+    '.jpg': 'file',
+    '.jpeg': 'file',
+    '.gif': 'file',
+    '.webp': 'file',
+    '.avif': 'file',
+    '.svg': 'file',
+    '.ico': 'file',
+    '.woff': 'file',
+    '.woff2': 'file',
+    '.ttf': 'file',
+    '.otf': 'file'
+};
+
+// Суффиксы импорта, переопределяющие загрузчик: './logo.png?inline'
+const QUERY_LOADERS = {
+    url: 'file',
+    raw: 'text',
+    inline: 'dataurl'
+};
+
+export const LOADERS = ['js', 'json', 'text', 'base64', 'dataurl', 'binary', 'file', 'css'];
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.txt': 'text/plain',
+    '.json': 'application/json',
+    '.wasm': 'application/wasm'
+};
+
+// Ключи JSON с такими именами остаются только в default-экспорте
+const KEYWORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function',
+    'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+    'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'arguments', 'eval'
+]);
+
+export default async function loadModule(config, filePath, content, loader) {
+    switch (loader) {
+        // Модуль стилей не экспортирует значений: его CSS попадает в CSS-файл чанка
+        case 'css': {
+            const { css, dependencies } = await compileStyle(filePath, content.toString('utf8'), config.alias);
+            const styles = await emitStyleAssets(config, filePath, css);
+            return { code: '', assets: styles.assets, css: styles.css, files: [...dependencies, ...styles.files] };
+        }
+        case 'json':
+            return { code: renderJSON(filePath, content.toString('utf8')), assets: [] };
+        case 'text':
+            return { code: `export default ${JSON.stringify(content.toString('utf8'))};\n`, assets: [] };
+        case 'base64':
+            return { code: `export default ${JSON.stringify(content.toString('base64'))};\n`, assets: [] };
+        case 'dataurl':
+            return { code: `export default ${JSON.stringify(toDataURL(filePath, content))};\n`, assets: [] };
+        case 'binary':
+            return {
+                code: `export default Uint8Array.from(atob(${JSON.stringify(content.toString('base64'))}), (char) => char.charCodeAt(0));\n`,
+                assets: []
+            };
+        case 'file': {
+            const asset = emitAsset(config, filePath, content);
+            return { code: `export default ${JSON.stringify(asset.url)};\n`, assets: [asset] };
+        }
+        default:
+            throw new Error(`Unknown loader "${loader}" for ${filePath}`);
+    }
+}
+
+/**
+ * Выбирает загрузчик по суффиксу запроса (?url, ?raw, ?inline) или по расширению файла
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к файлу, возможно с суффиксом запроса
+ * @param {string} [fallback] - Загрузчик для расширения, для которого он не настроен
+ * @returns {string} Имя загрузчика
+ * @throws {Error} Если для расширения загрузчик не настроен и fallback не задан
+ */
+
+export function getLoader(config, filePath, fallback = null) {
+    const [file, query] = splitQuery(filePath);
+    const params = new URLSearchParams(query);
+    for (const [name, loader] of Object.entries(QUERY_LOADERS)) {
+        if (params.has(name)) return loader;
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    const loader = config.loader[ext] ?? DEFAULT_LOADERS[ext] ?? (ext ? fallback : 'js');
+
+    if (!loader) {
+        throw new Error(`No loader is configured for "${ext}" files: ${filePath}`);
+    }
+    return loader;
+}
+
+/**
+ * Проверяет карту загрузчиков из конфигурации
+ * @param {Object} [loaders] - Расширение -> загрузчик, например { '.svg': 'file' }
+ * @returns {Object} Карта с расширениями в нижнем регистре
+ */
+
+export function normalizeLoaders(loaders = {}) {
+    const result = {};
+    for (const [ext, loader] of Object.entries(loaders)) {
+        if (!LOADERS.includes(loader)) {
+            throw new Error(`Unknown loader "${loader}" for "${ext}": expected one of ${LOADERS.join(', ')}`);
+        }
+        result[(ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()] = loader;
+    }
+    return result;
+}
+
+/**
+ * Регистрирует файл для каталога ассетов сборки под хешированным именем;
+ * сам файл записывается вместе с бандлом (writeOutput)
+ * @returns {{fileName: string, source: string, url: string}} Путь относительно outdir, исходный файл и публичный URL
+ */
+
+export function emitAsset(config, filePath, content) {
+    const fileName = path.posix.join(config.assetsDir, generateHashedFileName(filePath, content));
+    return { fileName, source: filePath, url: `${config.publicPath}${fileName}` };
+}
+
+export function toDataURL(filePath, content) {
+    const mime = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    return `data:${mime};base64,${content.toString('base64')}`;
+}
+
+// Файлы из url() стилей (по относительному пути или псевдониму) копируются в ассеты сборки,
+// ссылка заменяется их публичным URL. Внешние, data:, корневые и ненайденные ссылки не меняются
+async function emitStyleAssets(config, filePath, css) {
+    const pattern = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+    const urls = new Map();
+    const assets = [];
+    const files = [];
+
+    for (const [, , url] of css.matchAll(pattern)) {
+        if (urls.has(url) || /^(?:[a-z][\w+.-]*:|\/|#)/i.test(url)) continue;
+
+        // Суффикс ?#iefix и подобные остаются в ссылке
+        const end = url.search(/[?#]/);
+        const [file, suffix] = end === -1 ? [url, ''] : [url.slice(0, end), url.slice(end)];
+        const [aliased] = applyAlias(config.alias, file);
+        const source = path.resolve(path.dirname(filePath), aliased ?? file);
+
+        const content = await fs.readFile(source).catch(() => null);
+        if (!content) {
+            urls.set(url, null);
+            continue;
+        }
+
+        const asset = emitAsset(config, source, content);
+        assets.push(asset);
+        files.push(source);
+        urls.set(url, asset.url + suffix);
+    }
+
+    return {
+        css: css.replace(pattern, (match, quote, url) => urls.get(url) ? `url(${JSON.stringify(urls.get(url))})` : match),
+        assets,
+        files
+    };
+}
+
+// Ключи объекта верхнего уровня становятся именованными экспортами, чтобы tree shaking
+// мог убрать неиспользуемые части JSON. default собирается из тех же переменных
+function renderJSON(filePath, text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Failed to parse JSON ${filePath}: ${error.message}`);
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `export default ${JSON.stringify(value)};\n`;
+    }
+
+    let code = '';
+    const properties = [];
+    for (const [key, item] of Object.entries(value)) {
+        if (/^[A-Za-z_$][\w$]*$/.test(key) && !KEYWORDS.has(key)) {
+            code += `export const ${key} = ${JSON.stringify(item)};\n`;
+            properties.push(key);
+        } else {
+            properties.push(`${JSON.stringify(key)}: ${JSON.stringify(item)}`);
+        }
+    }
+
+    return `${code}export default {${properties.length ? `\n    ${properties.join(',\n    ')}\n` : ''}};\n`;
+}
@@ -0,0 +1,117 @@
+/**
+ * manifest.json: соответствие исходных файлов хешированным файлам сборки, чтобы серверный
+ * шаблон мог подключить актуальные бандлы. Ключ записи - путь исходника от корня проекта
+ * (entry-точки и ассеты, у бандлов воркеров с '?worker'), '_' + имя файла для чанков и CSS
+ * чанков или имя без хеша для CSS-бандлов. Пути файлов в записях отсчитываются от каталога манифеста
+ * @example
+ * {
+ *   "src/main.js": {
+ *     "file": "main.1a2b3c4d.js", "src": "src/main.js", "isEntry": true,
+ *     "imports": ["shared.5e6f7a8b.js"], "dynamicImports": ["page.9c0d1e2f.js"],
+ *     "css": ["main.3a4b5c6d.css"], "integrity": "sha384-..."
+ *   }
+ * }
+ */
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Форматы, бандлы которых подключаются на страницу тегом <script>
+const PAGE_FORMATS = ['iife', 'esm'];
+
+export default class Manifest {
+    #root;
+    #records = new Map();
+
+    /**
+     * @param {string} root - Каталог, от которого отсчитываются пути файлов (обычно outdir)
+     */
+
+    constructor(root) {
+        this.#root = path.resolve(root);
+    }
+
+    /**
+     * Добавляет запись о записанном файле; integrity считается по переданному содержимому,
+     * без него - по файлу на диске
+     * @param {string} key - Ключ записи
+     * @param {string} filePath - Путь к файлу сборки
+     * @param {Object} [fields] - Дополнительные поля: src, isEntry, imports, dynamicImports, css
+     * @param {string|Buffer} [content] - Записанное содержимое файла
+     */
+
+    async addFile(key, filePath, fields = {}, content = null) {
+        content ??= await fs.readFile(filePath);
+        this.#records.set(key, {
+            file: this.relative(filePath),
+            ...fields,
+            integrity: `sha384-${createHash('sha384').update(content).digest('base64')}`
+        });
+    }
+
+    /**
+     * Копирует записи другого манифеста с тем же корнем
+     * @param {Manifest} manifest - Источник записей
+     */
+
+    merge(manifest) {
+        for (const [key, record] of Object.entries(manifest.toJSON())) this.#records.set(key, record);
+    }
+
+    /**
+     * Путь файла сборки в том виде, в каком он записан в манифест
+     * @param {string} filePath - Путь к файлу
+     * @returns {string} Путь от корня манифеста с прямыми слешами
+     */
+
+    relative(filePath) {
+        return toPosix(path.relative(this.#root, path.resolve(filePath)));
+    }
+
+    /**
+     * Бандлы entry-точек для тегов <script> страницы. Чанки import(), общие чанки и воркеры
+     * загружает сам код бандла. При нескольких форматах берётся первый из iife и esm
+     * @returns {Object[]} Записи манифеста, file - путь от корня манифеста
+     */
+
+    getPageEntries() {
+        const records = [...this.#records.values()];
+        // Файл воркера, попавший под pattern entry-точек, на странице выполняться не должен
+        const workers = new Set(records.filter(record => record.isWorker).map(record => record.src));
+        const entries = records.filter(record => record.isEntry && !workers.has(record.src));
+        const format = entries.find(record => PAGE_FORMATS.includes(record.format))?.format;
+        return entries.filter(record => record.format === format);
+    }
+
+    toJSON() {
+        return Object.fromEntries([...this.#records].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Записывает манифест
+     * @param {string} fileName - Имя файла относительно корня манифеста
+     * @returns {Promise<string>} Путь к записанному файлу
+     */
+
+    async write(fileName) {
+        const filePath = path.join(this.#root, fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(this, null, 2));
+        return filePath;
+    }
+}
+
+/**
+ * Ключ исходного файла в манифесте
+ * @param {string} filePath - Путь к исходнику
+ * @returns {string} Путь от текущего каталога с прямыми слешами
+ */
+
+export function sourceKey(filePath) {
+    return toPosix(path.relative(process.cwd(), path.resolve(filePath)));
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
@@ -1,32 +1,456 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { builtinModules } from "node:module";
+import { applyAlias } from "./alias-script.js";
+import { pluginResolveId } from "./plugin-script.js";
+
+const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json', ''];
+
+// Кеш прочитанных package.json (null - файла нет)
+const packageCache = new Map();
+// Разобранные объектные поля browser по каталогу пакета
+const browserMapCache = new Map();
+
+/**
+ * Id пустого модуля: им поле browser отключает модуль ({ "fs": false })
+ */
+
+export const EMPTY_MODULE = '\0jolt:empty';
 
 /**
- * Разрешает путь к модулю относительно базовой директории
+ * Разрешает путь к модулю: хук resolveId плагинов, псевдонимы и paths из tsconfig, относительные/абсолютные пути,
+ * baseUrl, пакеты из node_modules и subpath imports (#internal) из ближайшего package.json
  * @param {string} baseDir - Базовая директория
- * @param {string} modulePath - Относительный путь модуля
- * @returns {string} Абсолютный путь к модулю
+ * @param {string} modulePath - Спецификатор модуля
+ * @param {Object} [options] - Настройки разрешения
+ * @param {string} [options.platform='browser'] - 'browser' | 'node'
+ * @param {string} [options.kind='import'] - Тип импорта ('require' включает условие require)
+ * @param {string[]} [options.conditions] - Условия для package.json exports
+ * @param {string[]} [options.mainFields] - Поля package.json для точки входа пакета
+ * @param {Object[]} [options.alias] - Псевдонимы из normalizeAlias()
+ * @param {string} [options.baseUrl] - Каталог, от которого сначала ищутся пакетные спецификаторы
+ * @param {Object} [options.pluginState] - Состояние для хука resolveId плагинов: { config, graph }
+ * @param {string} [options.importer] - Импортирующий модуль для хука resolveId
+ * @returns {string|null} Абсолютный путь к модулю или id плагина; суффикс запроса (?raw, ?url)
+ *          сохраняется. null - плагин объявил модуль внешним. Для платформы browser действует
+ *          объектная форма поля browser из package.json: EMPTY_MODULE - модуль отключён
  * @throws {Error} Если модуль не найден
  */
 
-export default async function resolvePath(baseDir, modulePath) {
-    const extensions = ['.js', '.jsx', '.ts', '.tsx', '.json', ''];
-    const candidates = [
-        path.resolve(baseDir, modulePath),
-        path.resolve(baseDir, `${modulePath}/index`)
-    ];
+export default async function resolvePath(baseDir, specifier, options = {}) {
+    const resolvedByPlugin = await pluginResolveId(options.pluginState, specifier, options.importer, { kind: options.kind || 'import' });
+    if (resolvedByPlugin) return resolvedByPlugin.external ? null : resolvedByPlugin.id;
+
+    const [modulePath, query] = splitQuery(specifier);
+    const replaced = await resolveBrowserModule(baseDir, modulePath, options);
+    if (replaced) return replaced === EMPTY_MODULE ? replaced : replaced + query;
+
+    let resolved = null;
+
+    // Если ни один вариант псевдонима не найден, спецификатор разрешается как обычно:
+    // так paths из tsconfig ведут себя в TypeScript
+    for (const candidate of applyAlias(options.alias, modulePath)) {
+        resolved = await resolveSpecifier(baseDir, candidate, options);
+        if (resolved) break;
+    }
+    resolved ??= await resolveSpecifier(baseDir, modulePath, options);
+
+    if (!resolved) {
+        throw new Error(`Cannot resolve module '${modulePath}' from '${baseDir}'`);
+    }
+
+    resolved = await applyBrowserMap(resolved, options);
+    return resolved === EMPTY_MODULE ? resolved : resolved + query;
+}
+
+/**
+ * Отделяет суффикс запроса от пути модуля
+ * @param {string} modulePath - Спецификатор или путь, например './logo.png?inline'
+ * @returns {[string, string]} Путь и запрос вместе с '?', например ['./logo.png', '?inline']
+ */
+
+export function splitQuery(modulePath) {
+    const index = modulePath.indexOf('?');
+    return index === -1 ? [modulePath, ''] : [modulePath.slice(0, index), modulePath.slice(index)];
+}
+
+/**
+ * Проверяет, является ли id виртуальным модулем плагина: по соглашению Rollup такие id
+ * начинаются с '\0' и не являются путями файлов
+ * @param {string} id - Путь или id модуля
+ * @returns {boolean}
+ */
+
+export function isVirtualModule(id) {
+    return id.startsWith('\0');
+}
+
+/**
+ * Каталог, от которого разрешаются относительные импорты модуля. Id виртуального модуля
+ * с путём файла ('\0/src/a.js?proxy') берёт каталог этого файла, остальные - корень проекта
+ * @param {string} modulePath - Путь или id модуля
+ * @returns {string} Абсолютный путь каталога
+ */
+
+export function getModuleDir(modulePath) {
+    const [sourcePath] = splitQuery(modulePath);
+    if (!isVirtualModule(sourcePath)) return path.dirname(sourcePath);
+
+    const filePath = sourcePath.slice(1);
+    return path.isAbsolute(filePath) ? path.dirname(filePath) : process.cwd();
+}
+
+/**
+ * Проверяет, является ли спецификатор пакетным (не относительный и не абсолютный путь)
+ * @param {string} specifier - Спецификатор модуля
+ * @returns {boolean}
+ */
+
+export function isBareSpecifier(specifier) {
+    return !specifier.startsWith('.') && !path.isAbsolute(specifier);
+}
+
+/**
+ * Проверяет, является ли спецификатор встроенным модулем Node.js
+ * @param {string} specifier - Спецификатор модуля
+ * @returns {boolean}
+ */
+
+export function isBuiltinModule(specifier) {
+    return specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0]);
+}
+
+/**
+ * Разбивает пакетный спецификатор на имя пакета и subpath
+ * @param {string} specifier - Например '@scope/pkg/utils'
+ * @returns {{name: string, subpath: string}} Например { name: '@scope/pkg', subpath: './utils' }
+ */
+
+export function parsePackageSpecifier(specifier) {
+    const parts = specifier.split('/');
+    const length = specifier.startsWith('@') ? 2 : 1;
+    const name = parts.slice(0, length).join('/');
+    const rest = parts.slice(length).join('/');
+
+    return { name, subpath: rest ? `./${rest}` : '.' };
+}
+
+/**
+ * Находит ближайший к файлу package.json
+ * @param {string} filePath - Путь к файлу
+ * @returns {Promise<{dir: string, pkg: Object}|null>}
+ */
+
+export async function findPackageJson(filePath) {
+    return findPackageJsonFrom(path.dirname(filePath));
+}
+
+async function findPackageJsonFrom(dir) {
+    while (true) {
+        const pkg = await readPackageJson(dir);
+        if (pkg) return { dir, pkg };
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+async function resolveSpecifier(baseDir, modulePath, options) {
+    if (!isBareSpecifier(modulePath)) {
+        return resolveFile(path.resolve(baseDir, modulePath));
+    }
+    if (modulePath.startsWith('#')) {
+        return resolvePackageImports(baseDir, modulePath, options);
+    }
+
+    // baseUrl из tsconfig проверяется раньше node_modules
+    const fromBaseUrl = options.baseUrl && await resolveFile(path.resolve(options.baseUrl, modulePath));
+    return fromBaseUrl || resolvePackage(baseDir, modulePath, options);
+}
+
+async function resolveFile(candidate) {
+    for (const ext of EXTENSIONS) {
+        const fullPath = `${candidate}${ext}`;
+        if (await isFile(fullPath)) return fullPath;
+    }
+
+    const pkg = await readPackageJson(candidate);
+    if (pkg?.main) {
+        const main = await resolveFile(path.resolve(candidate, pkg.main));
+        if (main) return main;
+    }
+
+    for (const ext of EXTENSIONS) {
+        const fullPath = path.join(candidate, `index${ext}`);
+        if (ext && await isFile(fullPath)) return fullPath;
+    }
+
+    return null;
+}
+
+async function resolvePackage(baseDir, specifier, options) {
+    const { name, subpath } = parsePackageSpecifier(specifier);
+
+    // Поднимаемся по node_modules от baseDir до корня файловой системы
+    let dir = path.resolve(baseDir);
+    while (true) {
+        if (path.basename(dir) !== 'node_modules') {
+            const packageDir = path.join(dir, 'node_modules', name);
+            const pkg = await readPackageJson(packageDir);
+
+            if (pkg) {
+                return resolvePackageEntry(packageDir, pkg, subpath, options);
+            }
+            if (await isDirectory(packageDir)) {
+                return resolveFile(path.join(packageDir, subpath));
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+async function resolvePackageEntry(packageDir, pkg, subpath, options) {
+    if (pkg.exports !== undefined && pkg.exports !== null) {
+        const target = resolveExportsMap(pkg.exports, subpath, getConditions(options));
+        if (!target) {
+            throw new Error(`Package subpath '${subpath}' is not exported by '${pkg.name}'`);
+        }
+        return resolveFile(path.join(packageDir, target));
+    }
+
+    if (subpath !== '.') {
+        return resolveFile(path.join(packageDir, subpath));
+    }
+
+    for (const field of getMainFields(options)) {
+        const value = pkg[field];
+        if (typeof value !== 'string') continue;
+
+        const entry = await resolveFile(path.join(packageDir, value));
+        if (entry) return entry;
+    }
+
+    return resolveFile(path.join(packageDir, 'index'));
+}
+
+async function resolvePackageImports(baseDir, specifier, options) {
+    // Ищем ближайший package.json с полем imports
+    let dir = path.resolve(baseDir);
+    while (true) {
+        const pkg = await readPackageJson(dir);
+        if (pkg?.imports) {
+            const target = resolveExportsMap(pkg.imports, specifier, getConditions(options));
+            if (!target) return null;
+
+            return isBareSpecifier(target)
+                ? resolvePackage(dir, target, options)
+                : resolveFile(path.join(dir, target));
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir || path.basename(dir) === 'node_modules') return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Разрешает subpath по карте exports/imports с учётом условий и шаблонов '*'
+ * @param {string|Object|Array} map - Значение поля exports или imports
+ * @param {string} subpath - '.', './feature' или '#internal'
+ * @param {string[]} conditions - Активные условия
+ * @returns {string|null} Путь относительно пакета
+ */
+
+function resolveExportsMap(map, subpath, conditions) {
+    // Сахар: "exports": "./index.js" или объект условий без subpath-ключей
+    const isSubpathMap = typeof map === 'object' && !Array.isArray(map) &&
+        Object.keys(map).some(key => key.startsWith('.') || key.startsWith('#'));
+    const entries = isSubpathMap ? map : { '.': map };
+
+    if (Object.hasOwn(entries, subpath) && !subpath.includes('*')) {
+        return resolveExportsTarget(entries[subpath], null, conditions);
+    }
+
+    // Шаблоны вида "./features/*": побеждает самый длинный префикс
+    let bestKey = null;
+    let bestMatch = null;
+    let bestLength = -1;
+    for (const key of Object.keys(entries)) {
+        const star = key.indexOf('*');
+        const prefix = star === -1 ? key : key.slice(0, star);
+        const suffix = star === -1 ? '' : key.slice(star + 1);
+
+        // Без '*' подходят только устаревшие папочные ключи вида "./lib/"
+        if (star === -1 && !key.endsWith('/')) continue;
+        if (!subpath.startsWith(prefix) || !subpath.endsWith(suffix)) continue;
+        if (subpath.length < prefix.length + suffix.length || prefix.length <= bestLength) continue;
+
+        bestKey = key;
+        bestLength = prefix.length;
+        bestMatch = subpath.slice(prefix.length, subpath.length - suffix.length);
+    }
+
+    if (!bestKey) return null;
+
+    const target = resolveExportsTarget(entries[bestKey], bestMatch, conditions);
+    if (target && bestKey.endsWith('/') && !bestKey.includes('*')) {
+        return `${target}${bestMatch}`;
+    }
+    return target;
+}
+
+function resolveExportsTarget(target, patternMatch, conditions) {
+    if (typeof target === 'string') {
+        return patternMatch === null ? target : target.replaceAll('*', patternMatch);
+    }
+
+    if (Array.isArray(target)) {
+        for (const item of target) {
+            const resolved = resolveExportsTarget(item, patternMatch, conditions);
+            if (resolved) return resolved;
+        }
+        return null;
+    }
+
+    if (target && typeof target === 'object') {
+        // Порядок ключей в package.json задаёт приоритет условий
+        for (const [condition, value] of Object.entries(target)) {
+            if (condition !== 'default' && !conditions.includes(condition)) continue;
+
+            const resolved = resolveExportsTarget(value, patternMatch, conditions);
+            if (resolved) return resolved;
+        }
+    }
+
+    return null;
+}
+
+// Объектная форма поля browser пакета, в котором лежит файл: { "./lib/node.js": "./lib/browser.js" }
+// заменяет файл для любого импорта, в том числе изнутри пакета
+async function applyBrowserMap(filePath, options) {
+    const browser = await getBrowserMap(path.dirname(filePath), options);
+    if (!browser?.files.has(filePath)) return filePath;
+
+    return (await resolveBrowserTarget(browser, browser.files.get(filePath), options)) || filePath;
+}
 
-    for (const candidate of candidates) {
-        for (const ext of extensions) {
-            const fullPath = ext ? `${candidate}${ext}` : candidate;
-            try {
-                await fs.access(fullPath);
-                return fullPath;
-            } catch {
+// Пакеты в поле browser пакета импортёра: { "fs": false, "module-a": "./shims/module-a.js" }
+async function resolveBrowserModule(baseDir, modulePath, options) {
+    if (!isBareSpecifier(modulePath)) return null;
 
+    const browser = await getBrowserMap(baseDir, options);
+    if (!browser?.modules.has(modulePath)) return null;
+
+    const target = browser.modules.get(modulePath);
+    const resolved = await resolveBrowserTarget(browser, target, options);
+    if (!resolved) {
+        throw new Error(`Cannot resolve '${target}' from the browser field of ${path.join(browser.dir, 'package.json')}`);
+    }
+    return resolved;
+}
+
+// false - пустой модуль, путь - файл пакета, имя - другой пакет
+async function resolveBrowserTarget(browser, target, options) {
+    if (target === false) return EMPTY_MODULE;
+    if (typeof target !== 'string') return null;
+
+    return isBareSpecifier(target)
+        ? resolvePackage(browser.dir, target, options)
+        : resolveFile(path.join(browser.dir, target));
+}
+
+// Поле browser ближайшего к каталогу package.json: файлы пакета и имена пакетов -> замены
+async function getBrowserMap(dir, options) {
+    if ((options.platform || 'browser') !== 'browser') return null;
+
+    const found = await findPackageJsonFrom(dir);
+    if (!found || !found.pkg.browser || typeof found.pkg.browser !== 'object') return null;
+
+    if (!browserMapCache.has(found.dir)) {
+        browserMapCache.set(found.dir, (async () => {
+            const files = new Map();
+            const modules = new Map();
+            for (const [from, to] of Object.entries(found.pkg.browser)) {
+                if (isBareSpecifier(from)) {
+                    modules.set(from, to);
+                    continue;
+                }
+                const file = await resolveFile(path.join(found.dir, from));
+                if (file) files.set(file, to);
             }
+            return { dir: found.dir, files, modules };
+        })());
+    }
+    return browserMapCache.get(found.dir);
+}
+
+function getConditions(options) {
+    if (options.conditions) return options.conditions;
+
+    const platform = options.platform || 'browser';
+    const kind = options.kind === 'require' ? 'require' : 'import';
+
+    return platform === 'node'
+        ? ['node', kind, 'module', 'default']
+        : ['browser', kind, 'module', 'default'];
+}
+
+function getMainFields(options) {
+    if (options.mainFields) return options.mainFields;
+
+    return (options.platform || 'browser') === 'node'
+        ? ['module', 'main']
+        : ['browser', 'module', 'main'];
+}
+
+/**
+ * Сбрасывает кеш прочитанных package.json и полей browser: без пути - целиком, с путём - записи
+ * самого файла и файлов внутри изменённого каталога (например, пакета в node_modules).
+ * Отсутствие файла тоже закешировано, поэтому новый package.json сбрасывает свою запись
+ * @param {string} [changedPath] - Абсолютный путь изменённого файла или каталога
+ */
+
+export function clearPackageCache(changedPath) {
+    for (const file of packageCache.keys()) {
+        if (changedPath && file !== changedPath && !file.startsWith(changedPath + path.sep)) continue;
+        packageCache.delete(file);
+        browserMapCache.delete(path.dirname(file));
+    }
+}
+
+async function readPackageJson(dir) {
+    const file = path.join(dir, 'package.json');
+    if (packageCache.has(file)) return packageCache.get(file);
+
+    let pkg = null;
+    try {
+        pkg = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            throw new Error(`Invalid package.json at ${file}: ${error.message}`);
         }
     }
 
-    throw new Error(`Cannot resolve module '${modulePath}' from '${baseDir}'`);
-}
\ No newline at end of file
+    packageCache.set(file, pkg);
+    return pkg;
+}
+
+async function isFile(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch {
+        return false;
+    }
+}
+
+async function isDirectory(dirPath) {
+    try {
+        return (await fs.stat(dirPath)).isDirectory();
+    } catch {
+        return false;
+    }
+}
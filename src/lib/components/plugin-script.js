@@ -1,22 +1,177 @@
-export default async function runPlugins(config, cache, graph, hookname, ...args) {
+import { minimatch } from "minimatch";
+import createPluginContext, { formatMessage } from "./context-script.js";
+
+// Порядок вызова плагинов по enforce; без enforce плагин вызывается между pre и post
+const ENFORCE_ORDER = { pre: 0, post: 2 };
+
+// Отсортированные плагины для каждого массива config.plugins
+const sortedPlugins = new WeakMap();
+
+/**
+ * Вызывает хук жизненного цикла сборки у всех плагинов по очереди
+ * @param {Object} state - Состояние сборки для контекста плагина: { config, graph, cache, emitted, watchFiles, fileNames }
+ * @param {string} hookname - buildStart, buildEnd, generateBundle, writeBundle, watchChange или afterBuild
+ * @param {...*} args - Аргументы хука
+ */
+
+export default async function runPlugins(state, hookname, ...args) {
+    const { config, graph, cache } = state;
     if (!config?.plugins) {
         console.warn('[runPlugins] No plugins found in config');
         return;
     }
 
-    for (const [index, plugin] of config.plugins.entries()) {
-        try {
+    for (const plugin of getPlugins(config.plugins)) {
+        const hook = getHook(plugin, hookname);
+        if (!hook) continue;
+
+        // afterBuild, как и раньше, получает последним аргументом { config, graph, cache }
+        const extra = hookname === 'afterBuild' ? [{ config: config, graph: graph, cache: cache }] : [];
+        await callHook(plugin, { ...state, hook: hookname }, hook.handler, [...args, ...extra]);
+    }
+}
+
+/**
+ * Хук resolveId: первый плагин, вернувший результат, определяет модуль
+ * @param {Object} state - Состояние сборки для контекста плагина: { config, graph }
+ * @param {string} specifier - Спецификатор импорта вместе с запросом (?raw)
+ * @param {string} [importer] - Модуль, из которого импортируют
+ * @param {Object} [options] - { kind } - тип импорта из parseImports
+ * @returns {Promise<{id: string, external: boolean}|null>} null - модуль разрешается как обычно.
+ *          Плагин возвращает путь или виртуальный id ('\0virtual:...'), false или
+ *          { id, external: true } для внешнего модуля
+ */
+
+export async function pluginResolveId(state, specifier, importer, options = {}) {
+    for (const { plugin, handler } of getHooks(state?.config.plugins, 'resolveId', specifier)) {
+        const result = await callHook(plugin, { ...state, hook: 'resolveId', id: importer }, handler, [specifier, importer, options]);
+        if (result == null) continue;
+
+        if (result === false) return { id: specifier, external: true };
+        if (typeof result === 'string') return { id: result, external: false };
+        return { id: result.id ?? specifier, external: !!result.external };
+    }
+    return null;
+}
+
+/**
+ * Хук load: первый плагин, вернувший код, заменяет чтение файла с диска
+ * @param {Object} state - Состояние для контекста плагина: { config, graph, emitted, watchFiles } модуля
+ * @param {string} id - Путь модуля или виртуальный id
+ * @returns {Promise<string|null>} JS-код модуля или null
+ */
+
+export async function pluginLoad(state, id) {
+    for (const { plugin, handler } of getHooks(state.config.plugins, 'load', id)) {
+        const result = await callHook(plugin, { ...state, hook: 'load', id }, handler, [id]);
+        if (result == null) continue;
+        return typeof result === 'string' ? result : result.code;
+    }
+    return null;
+}
+
+/**
+ * Хук transform: плагины по очереди получают код предыдущего. Карта кода плагина
+ * не объединяется с картой SWC: sourcemap указывает на код после плагинов
+ * @param {Object} state - Состояние для контекста плагина: { config, graph, emitted, watchFiles } модуля
+ * @param {string} code - JS-код модуля
+ * @param {string} id - Путь модуля или виртуальный id
+ * @returns {Promise<string>} Код после всех плагинов
+ */
+
+export async function pluginTransform(state, code, id) {
+    for (const { plugin, handler, filter } of getHooks(state.config.plugins, 'transform', id)) {
+        if (filter?.code !== undefined && !matchesPattern(filter.code, code, true)) continue;
+
+        const result = await callHook(plugin, { ...state, hook: 'transform', id, code }, handler, [code, id]);
+        if (result == null) continue;
+        code = typeof result === 'string' ? result : result.code ?? code;
+    }
+    return code;
+}
+
+/**
+ * Есть ли у плагинов хук, фильтр которого подходит к id
+ * @param {Object[]} plugins - Плагины из конфигурации
+ * @param {string} name - Имя хука
+ * @param {string} id - Путь модуля или спецификатор
+ * @returns {boolean}
+ */
+
+export function hasPluginHook(plugins, name, id) {
+    return getHooks(plugins, name, id).length > 0;
+}
+
+/**
+ * Плагины в порядке вызова: enforce 'pre', без enforce, 'post'; внутри группы - порядок в конфигурации
+ * @param {Object[]} [plugins] - Плагины из конфигурации
+ * @returns {Object[]}
+ */
 
-            if (typeof plugin[hookname] === 'function') {
-                await plugin[hookname](...args, {
-                    config: config,
-                    graph: graph,
-                    cache: cache
-                });
+export function getPlugins(plugins = []) {
+    if (!sortedPlugins.has(plugins)) {
+        for (const plugin of plugins) {
+            if (plugin.enforce !== undefined && !(plugin.enforce in ENFORCE_ORDER)) {
+                throw new Error(`Invalid enforce "${plugin.enforce}" in plugin ${plugin.name || 'unnamed-plugin'}: expected 'pre' or 'post'`);
             }
-        } catch (error) {
-            console.error(`[runPlugins] Error in plugin ${plugin.name || 'unnamed-plugin'}`, error);
-            throw error;
         }
+        sortedPlugins.set(plugins, [...plugins].sort((a, b) => getOrder(a) - getOrder(b)));
+    }
+    return sortedPlugins.get(plugins);
+}
+
+function getOrder(plugin) {
+    return ENFORCE_ORDER[plugin.enforce] ?? 1;
+}
+
+// Хук задаётся функцией или объектом { filter, handler }, как в Rollup
+function getHook(plugin, name) {
+    const hook = plugin[name];
+    if (typeof hook === 'function') return { handler: hook, filter: null };
+    if (typeof hook?.handler === 'function') return { handler: hook.handler, filter: hook.filter || null };
+    return null;
+}
+
+// Хуки плагинов, фильтр id которых подходит; фильтр кода transform проверяет сам
+function getHooks(plugins, name, id) {
+    const hooks = [];
+    if (!plugins?.length) return hooks;
+
+    for (const plugin of getPlugins(plugins)) {
+        const hook = getHook(plugin, name);
+        if (!hook) continue;
+
+        const { filter } = hook;
+        if (filter?.id !== undefined && !matchesPattern(filter.id, id.replace(/\\/g, '/'), false)) continue;
+        hooks.push({ plugin, ...hook });
+    }
+    return hooks;
+}
+
+// Шаблон фильтра: RegExp, glob для id или подстрока для кода, массив шаблонов
+// или { include, exclude }
+function matchesPattern(pattern, value, isCode) {
+    if (Array.isArray(pattern)) return pattern.some(item => matchesPattern(item, value, isCode));
+    if (pattern instanceof RegExp) {
+        pattern.lastIndex = 0;
+        return pattern.test(value);
+    }
+    if (typeof pattern === 'string') return isCode ? value.includes(pattern) : minimatch(value, pattern, { dot: true });
+
+    if (pattern.exclude !== undefined && matchesPattern(pattern.exclude, value, isCode)) return false;
+    return pattern.include === undefined || matchesPattern(pattern.include, value, isCode);
+}
+
+// Ошибка плагина получает его имя, хук и модуль; ошибка из this.error уже их содержит
+async function callHook(plugin, state, handler, args) {
+    try {
+        return await handler.apply(createPluginContext(plugin, state), args);
+    } catch (thrown) {
+        const error = thrown instanceof Error ? thrown : new Error(String(thrown));
+        if (error.plugin !== undefined) throw error;
+
+        const name = plugin.name || 'unnamed-plugin';
+        error.message = formatMessage(name, state, error.message);
+        throw Object.assign(error, { plugin: name, hook: state.hook, id: state.id });
     }
 }
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Пул потоков worker_threads, в которых SWC трансформирует модули графа. Потоки создаются
+ * по мере появления задач и не держат процесс, пока простаивают
+ */
+
+import { Worker } from "node:worker_threads";
+import os from "node:os";
+import { ApiLogger, LogLevel } from '../../api/ApiLogger.js';
+
+const logger = new ApiLogger("JOLT-POOL", LogLevel.DEBUG);
+
+// Настройки трансформации, которые нужны потоку: конфигурация целиком содержит функции и RegExp
+const TRANSFORM_OPTIONS = ['sourcemaps', 'target', 'minify'];
+
+export default class TransformPool {
+    #size;
+    #workers = [];
+    #idle = [];
+    #queue = [];
+    #tasks = new Map();   // id задачи -> { resolve, reject, worker }
+    #nextId = 0;
+
+    /**
+     * @param {number} size - Наибольшее число потоков
+     */
+
+    constructor(size) {
+        this.#size = size;
+    }
+
+    /**
+     * Трансформирует модуль в потоке пула, см. transformModule
+     * @param {Object} config - Конфигурация сборки
+     * @param {string} filePath - Путь к файлу
+     * @param {string} code - Исходный код
+     * @param {Object[]} imports - Импорты модуля из parseImports
+     * @returns {Promise<{code: string, map: string}>}
+     */
+
+    transform(config, filePath, code, imports) {
+        const options = Object.fromEntries(TRANSFORM_OPTIONS.map(key => [key, config[key]]));
+
+        return new Promise((resolve, reject) => {
+            this.#queue.push({ id: this.#nextId++, message: { config: options, filePath, code, imports }, resolve, reject });
+            this.#dispatch();
+        });
+    }
+
+    /**
+     * Останавливает потоки; задачи в очереди и отданные потокам завершаются ошибкой
+     */
+
+    async close() {
+        const error = new Error('Transform pool closed');
+        for (const task of this.#queue.splice(0)) task.reject(error);
+        // После splice потоков #remove не найдёт их задачи: они завершаются здесь
+        for (const task of this.#tasks.values()) task.reject(error);
+        this.#tasks.clear();
+        const workers = this.#workers.splice(0);
+        this.#idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    #dispatch() {
+        while (this.#queue.length > 0) {
+            const worker = this.#idle.pop() ?? (this.#workers.length < this.#size ? this.#spawn() : null);
+            if (!worker) return;
+
+            const { id, message, resolve, reject } = this.#queue.shift();
+            this.#tasks.set(id, { resolve, reject, worker });
+            // Занятый поток удерживает процесс, иначе он мог бы завершиться, не дождавшись результата
+            worker.ref();
+            worker.postMessage({ id, ...message });
+        }
+    }
+
+    #spawn() {
+        const worker = new Worker(new URL('./pool-worker-script.js', import.meta.url));
+
+        worker.on('message', ({ id, result, error }) => {
+            const task = this.#tasks.get(id);
+            this.#tasks.delete(id);
+            this.#release(worker);
+
+            if (error) task.reject(Object.assign(new Error(error.message), error.stack ? { stack: error.stack } : {}));
+            else task.resolve(result);
+        });
+
+        // Упавший поток заменяется новым, его задачи завершаются ошибкой
+        worker.on('error', (error) => {
+            logger.error(`Transform worker failed: ${error.message}`);
+            this.#remove(worker, error);
+        });
+        worker.on('exit', (code) => {
+            this.#remove(worker, new Error(`Transform worker stopped with exit code ${code}`));
+        });
+
+        this.#workers.push(worker);
+        return worker;
+    }
+
+    // Поток выполняет одну задачу за раз: после ответа он свободен
+    #release(worker) {
+        worker.unref();
+        this.#idle.push(worker);
+        this.#dispatch();
+    }
+
+    #remove(worker, error) {
+        if (!this.#workers.includes(worker)) return;
+        this.#workers = this.#workers.filter(item => item !== worker);
+        this.#idle = this.#idle.filter(item => item !== worker);
+
+        for (const [id, task] of this.#tasks) {
+            if (task.worker !== worker) continue;
+            this.#tasks.delete(id);
+            task.reject(error);
+        }
+        this.#dispatch();
+    }
+}
+
+/**
+ * Размер пула по умолчанию - число доступных ядер
+ * @returns {number}
+ */
+
+export function getDefaultPoolSize() {
+    return os.availableParallelism?.() ?? os.cpus().length;
+}
@@ -0,0 +1,16 @@
+/**
+ * Поток пула трансформации: получает { id, config, filePath, code, imports },
+ * отвечает { id, result } или { id, error }
+ */
+
+import { parentPort } from "node:worker_threads";
+import transformModule from "./transform-script.js";
+
+parentPort.on('message', async ({ id, config, filePath, code, imports }) => {
+    try {
+        parentPort.postMessage({ id, result: await transformModule(config, filePath, code, imports) });
+    } catch (error) {
+        // Ошибка SWC может прийти строкой, а не Error
+        parentPort.postMessage({ id, error: { message: error?.message ?? String(error), stack: error?.stack } });
+    }
+});
@@ -1,75 +1,145 @@
 /**
- * Обрабатывает файл: читает, трансформирует и извлекает зависимости
+ * Обрабатывает файл: читает, трансформирует и извлекает зависимости.
+ * Файлы, не являющиеся JS, сначала превращаются загрузчиком в ES-модуль.
+ * Хук load плагинов может заменить чтение файла, хук transform - изменить код до SWC
  * @param {string} filePath - Путь к файлу
+ * @param {DiskCache} [store] - Постоянный кеш модулей между запусками
+ * @param {TransformPool} [pool] - Пул потоков для SWC; без него трансформация идёт в основном потоке
  * @returns {Object} Объект с кодом, картой кода и зависимостями
  */
 
-import { transform } from "@swc/core";
 import parseImports from "./imports-script.js";
-import resolvePath from "./module-script.js";
-import needsRebuild from "./rebuild-script.js";
+import transformModule from "./transform-script.js";
+import resolvePath, { splitQuery, getModuleDir, EMPTY_MODULE } from "./module-script.js";
+import needsRebuild, { fileDependenciesChanged, globsChanged } from "./rebuild-script.js";
+import hashFile, { hashContent } from "./hash-script.js";
 import isExternalDependency from "./utils-script.js";
+import loadModule, { getLoader } from "./loader-script.js";
+import applyDefines from "./define-script.js";
+import findWorkers from "./worker-script.js";
+import expandGlobImports from "./glob-script.js";
+import { pluginLoad, pluginTransform, hasPluginHook } from "./plugin-script.js";
 import fs from "node:fs/promises";
 import path from "node:path"
 
-export default async function processFile(config, cache, graph, filePath) {
-    if (isExternalDependency(config, filePath)) {
-        return {
-            path: filePath,
-            code: `module.exports = require('${path.basename(filePath, path.extname(filePath))}');`,
-            map: null,
-            dependencies: []
-        };
-    }
-
+export default async function processFile(config, cache, graph, filePath, store, pool) {
+    // './logo.png?raw' и './logo.png' - разные модули одного файла
+    const [sourcePath] = splitQuery(filePath);
+    // Файлы emitFile и addWatchFile хуков плагинов принадлежат модулю: при пересборке
+    // без его обработки они берутся из узла
+    const pluginState = { config, graph, emitted: [], watchFiles: new Set() };
+    // Код из хука load - уже JS; виртуальные модули плагинов существуют только так.
+    // Модуль, отключённый полем browser, - пустой объект CommonJS
+    const pluginCode = filePath === EMPTY_MODULE ? 'module.exports = {};' : await pluginLoad(pluginState, filePath);
+    const content = pluginCode ?? await fs.readFile(sourcePath);
+    const hash = hashContent(content);
 
-    if (!await needsRebuild(config, cache, filePath) && graph.has(filePath)) {
+    if (!await needsRebuild(config, cache, filePath, hash) && graph.has(filePath) &&
+        !await isStale(graph.get(filePath))) {
         return graph.get(filePath);
     }
 
-    const code = await fs.readFile(filePath, 'utf8');
-    const result = await transform(code, {
-        filename: filePath,
-        sourceMaps: config.sourcemaps,
-        jsc: {
-            parser: {
-                syntax: filePath.endsWith('.ts') ? 'typescript' : 'ecmascript',
-                tsx: filePath.endsWith('.tsx'),
-                jsx: filePath.endsWith('.jsx')
-            },
-            target: config.target,
-            transform: {
-                optimizer: {
-                    simplify: true
-                }
-            }
-        },
-        module: {
-            type: 'commonjs'
-        },
-        minify: config.minify
-    });
+    const cached = await store?.get(filePath, hash);
+    if (cached && !await isStale(cached)) {
+        graph.set(filePath, cached);
+        return cached;
+    }
 
-    const dependencies = await parseImports(result.code);
-    const resolvedDeps = [];
+    // Файл без загрузчика превращает в JS хук transform плагина
+    const loader = pluginCode !== null ? 'js' : getLoader(config, filePath, hasPluginHook(config.plugins, 'transform', filePath) ? 'js' : null);
+    const loaded = loader === 'js'
+        ? { code: content.toString('utf8'), assets: [] }
+        : await loadModule(config, sourcePath, content, loader);
+    const { assets, css, files = [] } = loaded;
+    const transformed = await pluginTransform(pluginState, loaded.code, filePath);
+    // Подстановка define до разбора импортов: require() в удалённой ветке не попадает в граф
+    const defined = applyDefines(config, filePath, transformed);
+    // Воркеры собираются отдельными entry-точками и не становятся зависимостями модуля
+    const { code: withWorkers, workers } = await findWorkers(config, filePath, defined);
+    // import.meta.glob раскрывается в обычные import и import(), которые попадают в граф
+    const { code, globs } = await expandGlobImports(config, filePath, withWorkers);
 
-    for (const dep of dependencies) {
-        try {
-            const resolved = await resolvePath(path.dirname(filePath), dep);
-            resolvedDeps.push(resolved);
-        } catch (error) {
-            console.error(`Failed to resolve ${dep} from ${filePath}:`, error.message);
-            throw error;
-        }
-    }
+    const imports = await parseImports(code, { filename: filePath });
+
+    // Зависимости разрешаются, пока SWC трансформирует модуль
+    const [result, { resolved, dependencies }] = await Promise.all([
+        pool ? pool.transform(config, filePath, code, imports) : transformModule(config, filePath, code, imports),
+        resolveDependencies(config, filePath, imports, pluginState)
+    ]);
 
     const node = {
         path: filePath,
         code: result.code,
         map: result.map,
-        dependencies: resolvedDeps
+        // Исходник нужен линковщику ES-модулей
+        source: code,
+        imports,
+        resolved,
+        dependencies,
+        // Файлы загрузчика file, копируемые в outdir
+        assets,
+        // Скомпилированные стили загрузчика css
+        css,
+        // Файлы из new Worker(new URL(..., import.meta.url)) - entry-точки бандлов воркеров
+        workers,
+        // Шаблоны import.meta.glob с найденными файлами: новый файл делает узел устаревшим
+        globs,
+        // Файлы emitFile плагинов, записываемые рядом с бандлом
+        emitted: pluginState.emitted.filter(file => file.type === 'asset'),
+        // Прочитанные загрузчиком файлы (@import стилей) и файлы addWatchFile плагинов:
+        // их изменение делает узел устаревшим
+        fileDependencies: Object.fromEntries(
+            await Promise.all([...new Set([...files, ...pluginState.watchFiles])].map(async file => [file, await hashFile(file).catch(() => null)]))
+        )
     };
 
     graph.set(filePath, node);
+    await store?.set(hash, node);
     return node;
-}
\ No newline at end of file
+}
+
+/**
+ * Разрешает импорты модуля. Нужен и без трансформации: появление или удаление файла
+ * меняет разрешение импортов в модулях, код которых не менялся
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к модулю
+ * @param {Object[]} imports - Импорты модуля из parseImports
+ * @param {Object} [pluginState] - Состояние для хука resolveId плагинов
+ * @returns {Promise<{resolved: Object, dependencies: string[]}>} Спецификатор -> путь и пути зависимостей
+ * @throws {Error} Если импорт не разрешается
+ */
+
+export async function resolveDependencies(config, filePath, imports, pluginState = { config }) {
+    const dir = getModuleDir(filePath);
+    const paths = await Promise.all(imports.map(async record => {
+        // Внешние зависимости остаются в коде как есть
+        if (isExternalDependency(config, record.specifier)) return null;
+
+        try {
+            return await resolvePath(dir, record.specifier, {
+                pluginState,
+                importer: filePath,
+                platform: config.platform,
+                kind: record.kind,
+                conditions: config.conditions,
+                mainFields: config.mainFields,
+                alias: config.alias,
+                baseUrl: config.baseUrl
+            });
+        } catch (error) {
+            console.error(`Failed to resolve ${record.specifier} from ${filePath}:${record.loc.line}:${record.loc.column}:`, error.message);
+            throw error;
+        }
+    }));
+
+    const resolved = {};
+    for (const [index, record] of imports.entries()) {
+        if (paths[index]) resolved[record.specifier] = paths[index];
+    }
+    return { resolved, dependencies: [...new Set(paths.filter(Boolean))] };
+}
+
+// Содержимое файла не менялось, но узел зависит от других файлов и результатов glob
+async function isStale(node) {
+    return await fileDependenciesChanged(node) || await globsChanged(node);
+}
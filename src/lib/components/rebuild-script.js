@@ -1,20 +1,52 @@
 import hashFile from "./hash-script.js"
+import { matchGlob } from "./glob-script.js";
+import { splitQuery } from "./module-script.js";
+import fs from "node:fs/promises";
 
 /**
  * Проверяет, нужно ли пересобирать файл (по изменению содержимого)
  * @param {string} config - Конфигурация сборки
  * @param {string} cache - Кеш файла
  * @param {string} filePath - Путь к файлу
+ * @param {string} [hash] - Хеш уже прочитанного содержимого, чтобы не читать файл повторно
  * @returns {boolean} Нужна ли пересборка
  */
 
 
-export default async function needsRebuild(config, cache, filePath) {
+export default async function needsRebuild(config, cache, filePath, hash) {
     if (!config.cache) return true;
-    const hash = await hashFile(filePath);
+    hash = hash ?? await hashFile(filePath);
     if (cache.get(filePath) !== hash) {
         cache.set(filePath, hash);
         return true;
     }
     return false;
-}
\ No newline at end of file
+}
+
+/**
+ * Проверяет файлы, которые модуль прочитал помимо себя (например, @import в стилях)
+ * @param {Object} node - Узел графа с fileDependencies: путь -> хеш содержимого
+ * @returns {Promise<boolean>} Изменился или пропал ли хотя бы один файл
+ */
+
+export async function fileDependenciesChanged(node) {
+    for (const [filePath, hash] of Object.entries(node.fileDependencies || {})) {
+        const exists = await fs.access(filePath).then(() => true, () => false);
+        if (!exists || await hashFile(filePath) !== hash) return true;
+    }
+    return false;
+}
+
+/**
+ * Проверяет шаблоны import.meta.glob модуля: новый или удалённый файл меняет раскрытый объект
+ * @param {Object} node - Узел графа с globs: шаблоны и найденные при сборке файлы
+ * @returns {Promise<boolean>} Изменился ли список файлов хотя бы одного шаблона
+ */
+
+export async function globsChanged(node) {
+    for (const entry of node.globs || []) {
+        const files = await matchGlob(entry, splitQuery(node.path)[0]);
+        if (files.length !== entry.files.length || files.some((file, index) => file !== entry.files[index])) return true;
+    }
+    return false;
+}
@@ -1,54 +1,124 @@
 import path from "node:path";
 import fs from "node:fs/promises";
-import { generateContentHash, generateHashedFileName, cleanOldHashes } from "../../utils/hash-utils.js"
+import { applyContentHash, removeHashPlaceholder } from "../../utils/hash-utils.js"
+import { isVirtualModule } from "./module-script.js";
+import { toDisplayPath } from "./utils-script.js";
 /**
- * Записывает результат сборки с хешированными именами
+ * Записывает результат сборки с хешированными именами. Старые версии файлов не удаляются:
+ * бандлы одной сборки пишутся одновременно, поэтому сборка чистит их после записи всех
  * @param {Object} config - Конфигурация сборки
  * @param {Object} output - Результат сборки
- * @param {string} outFile - Исходный путь для файла
- * @returns {Promise<{mainFile: string}>} Информация о созданных файлах
+ * @param {string} outFile - Исходный путь для файла; [hash] в имени заменяется хешем содержимого
+ * @param {{previous: Map, current: Map}} [written] - Содержимое файлов по пути: прошлой сборки, с которым
+ *        сравнивается новое, и текущей, куда оно добавляется. Файл с тем же содержимым не перезаписывается
+ * @returns {Promise<{mainFile: string, filePath: string, chunkFiles: string[], hashed: Object[], contents: Map}>}
+ *          Информация о созданных файлах; hashed - { dir, name, ext, fileName } для очистки старых версий,
+ *          contents - записанное содержимое по имени файла (для integrity манифеста без чтения с диска)
  */
-export default async function writeOutput(config, output, outFile) {
+export default async function writeOutput(config, output, outFile, written = null) {
     const dir = path.dirname(outFile);
     const ext = path.extname(outFile);
-    const baseName = path.basename(outFile, ext);
+    const baseName = path.basename(removeHashPlaceholder(outFile), ext);
 
-    const hashedFileName = generateHashedFileName(outFile, output.code)
+    // Генератор может сам задать имя файла, если на него ссылаются другие чанки
+    const hashedFileName = output.fileName || applyContentHash(path.basename(outFile), output.code)
     const hashedFilePath = path.join(dir, hashedFileName);
-
-    await cleanOldHashes(dir, baseName, ext);
+    const hashed = [{ dir, name: baseName, ext, fileName: hashedFileName }];
 
     await fs.mkdir(dir, { recursive: true });
 
 
-    let finalCode = output.code;
+    const contents = new Map([[hashedFileName, await attachSourceMap(config, dir, hashedFileName, output, written)]]);
+    await writeChanged(hashedFilePath, contents.get(hashedFileName), written);
 
-    // Обработка sourcemap
-    if (output.map) {
-        if (config.sourcemaps === 'inline') {
-            const mapBase64 = Buffer.from(JSON.stringify(output.map)).toString('base64');
-            finalCode += `\n//# sourceMappingURL=data:application/json;base64,${mapBase64}`;
-        } else if (config.sourcemaps === 'external') {
-            const mapFileName = `${hashedFileName}.map`;
-            await fs.writeFile(path.join(dir, mapFileName), JSON.stringify(output.map, null, 2));
-            finalCode += `\n//# sourceMappingURL=${mapFileName}`;
-        }
+    // Чанки для import() уже содержат хеш в имени
+    const chunkFiles = [];
+    for (const chunk of output.chunks || []) {
+        contents.set(chunk.fileName, await attachSourceMap(config, dir, chunk.fileName, chunk, written));
+        await writeChanged(path.join(dir, chunk.fileName), contents.get(chunk.fileName), written);
+        hashed.push({ dir, name: chunk.name, ext: path.extname(chunk.fileName), fileName: chunk.fileName });
+        chunkFiles.push(chunk.fileName);
     }
 
-    await fs.writeFile(hashedFilePath, finalCode);
+    // CSS чанков из импортов стилей в JS
+    for (const style of output.styles || []) {
+        contents.set(style.fileName, style.code);
+        await writeChanged(path.join(dir, style.fileName), style.code, written);
+        hashed.push({ dir, name: style.name, ext: '.css', fileName: style.fileName });
+    }
 
-    // 4. Записываем import-map если есть
-    if (output.importMap) {
-        const importMapHash = generateContentHash(JSON.stringify(output.importMap));
-        const importMapFileName = `import-map.${importMapHash}.json`;
-        await fs.writeFile(
-            path.join(dir, importMapFileName),
-            JSON.stringify(output.importMap, null, 2)
-        );
+    // Имена ассетов содержат хеш содержимого: файл с тем же именем уже актуален
+    for (const asset of output.assets || []) {
+        const assetPath = path.join(dir, asset.fileName);
+        if (await fs.access(assetPath).then(() => true, () => false)) continue;
+        await fs.mkdir(path.dirname(assetPath), { recursive: true });
+
+        if (config.image) {
+            // Конвейер ассетов (sharp, SVGO) подключается только вместе с настройками изображений
+            const { writeAsset } = await import('../../plugins/asset-manager.js');
+            await writeAsset(config, await fs.readFile(asset.source), path.extname(asset.source).toLowerCase(), assetPath);
+        } else {
+            await fs.copyFile(asset.source, assetPath);
+        }
+    }
+
+    // Файлы emitFile плагинов; файлы с хешем в имени заменяют свои старые версии
+    for (const file of output.emitted || []) {
+        const filePath = path.join(dir, file.fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        contents.set(file.fileName, Buffer.from(file.source, file.encoding || 'utf8'));
+        await fs.writeFile(filePath, contents.get(file.fileName));
+        if (file.name) {
+            const ext = path.extname(file.name);
+            hashed.push({ dir: path.dirname(filePath), name: path.basename(file.name, ext), ext, fileName: path.basename(filePath) });
+        }
     }
 
     return {
         mainFile: hashedFileName,
-        filePath: hashedFilePath
+        filePath: hashedFilePath,
+        chunkFiles,
+        hashed,
+        contents
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Добавляет sourcemap к коду файла в выбранном режиме:
+ * inline - data: URL в комментарии, external - файл .map и комментарий,
+ * hidden - только файл .map (для сервисов отчётов об ошибках)
+ * @returns {Promise<string>} Итоговый код файла
+ */
+
+async function attachSourceMap(config, dir, fileName, output, written) {
+    if (!output.map || !config.sourcemaps) return output.code;
+
+    const map = typeof output.map === 'string' ? JSON.parse(output.map) : output.map;
+    const sourceMap = JSON.stringify({
+        ...map,
+        file: fileName,
+        // Пути к исходникам относительно файла карты
+        sources: map.sources.map(source => path.isAbsolute(source) || isVirtualModule(source)
+            ? toDisplayPath(source, dir)
+            : source)
+    });
+
+    if (config.sourcemaps === 'inline') {
+        const mapBase64 = Buffer.from(sourceMap).toString('base64');
+        return `${output.code}\n//# sourceMappingURL=data:application/json;base64,${mapBase64}`;
+    }
+
+    const mapFileName = `${fileName}.map`;
+    await writeChanged(path.join(dir, mapFileName), sourceMap, written);
+
+    return config.sourcemaps === 'hidden'
+        ? output.code
+        : `${output.code}\n//# sourceMappingURL=${mapFileName}`;
+}
+
+// Файл, записанный прошлой сборкой с тем же содержимым и не удалённый с тех пор, не перезаписывается
+async function writeChanged(filePath, content, written) {
+    written?.current.set(filePath, content);
+    if (written?.previous.get(filePath) === content && await fs.access(filePath).then(() => true, () => false)) return;
+    await fs.writeFile(filePath, content);
+}
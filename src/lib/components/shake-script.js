@@ -0,0 +1,600 @@
+/**
+ * Удаляет неиспользуемый код из графа модулей (tree shaking): отслеживает
+ * используемые экспорты от entry-точек, выбрасывает недостижимые объявления
+ * верхнего уровня и модули без побочных эффектов, учитывает `sideEffects` из package.json
+ * @param {Object} config - Конфигурация сборки
+ * @param {Object[]} modules - Модули графа
+ * @param {string[]} entryPaths - Пути к entry-файлам
+ * @returns {Promise<Object[]>} Оставшиеся модули с урезанным исходником
+ */
+
+import path from "node:path";
+import { minimatch } from "minimatch";
+import {
+    parseModule,
+    walk,
+    createLocator,
+    getModuleFormat,
+    getPatternNames,
+    TOP_LEVEL_CTXT,
+    UNRESOLVED_CTXT
+} from "./ast-script.js";
+import { findPackageJson } from "./module-script.js";
+import transformModule from "./transform-script.js";
+
+// Глобальные имена, чтение которых не может выбросить исключение
+const PURE_GLOBALS = new Set([
+    'undefined', 'NaN', 'Infinity', 'globalThis', 'Object', 'Array', 'String', 'Number',
+    'Boolean', 'Symbol', 'BigInt', 'Math', 'JSON', 'Date', 'RegExp', 'Error', 'TypeError',
+    'RangeError', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise', 'Reflect', 'Proxy'
+]);
+
+const STRUCTURAL_STATEMENTS = new Set(['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration']);
+
+// Разбор и урезанные варианты узла графа по исходнику: при пересборке неизменённые модули
+// не разбираются и не трансформируются заново, а урезанный узел остаётся тем же объектом.
+// Вариантов несколько: один модуль по-разному урезается для разных entry-точек
+const analyses = new WeakMap();
+const shakenNodes = new WeakMap();
+
+export default async function shakeModules(config, modules, entryPaths) {
+    const analyzed = new Map();
+    for (const mod of modules) {
+        if (!analyses.has(mod)) analyses.set(mod, await analyzeModule(mod));
+        analyzed.set(mod.path, analyses.get(mod));
+    }
+
+    const shaker = new TreeShaker(analyzed);
+    for (const entry of entryPaths) {
+        shaker.useAll(path.resolve(entry));
+    }
+
+    const result = [];
+    for (const mod of modules) {
+        if (!shaker.isIncluded(mod.path)) continue;
+
+        const info = analyzed.get(mod.path);
+        const source = info.format === 'esm' ? shaker.render(info) : info.source;
+        const imports = (mod.imports || []).filter(record => shaker.isKept(info, record.specifier));
+        const resolved = Object.fromEntries(
+            Object.entries(mod.resolved || {}).filter(([specifier]) => shaker.isKept(info, specifier))
+        );
+
+        if (source === info.source && imports.length === (mod.imports || []).length) {
+            result.push(mod);
+            continue;
+        }
+
+        if (!shakenNodes.has(mod)) shakenNodes.set(mod, new Map());
+        const previous = shakenNodes.get(mod).get(source);
+        if (previous && previous.imports.length === imports.length &&
+            previous.imports.every((record, index) => record === imports[index])) {
+            result.push(previous);
+            continue;
+        }
+
+        const shaken = {
+            ...mod,
+            source,
+            // Для sourcesContent в sourcemap нужен исходник до удаления кода
+            originalSource: mod.originalSource ?? info.source,
+            imports,
+            resolved,
+            dependencies: [...new Set(Object.values(resolved))]
+        };
+
+        // Рантайму IIFE, CommonJS и UMD нужен CommonJS-код урезанного исходника, ES-модули линкуются из source
+        if (config.formats.some(({ format }) => format !== 'esm') && source !== info.source) {
+            const { code, map } = await transformModule(config, mod.path, source, imports);
+            shaken.code = code;
+            shaken.map = map && JSON.stringify({ ...JSON.parse(map), sourcesContent: [shaken.originalSource] });
+        }
+
+        shakenNodes.get(mod).set(source, shaken);
+        result.push(shaken);
+    }
+
+    return result;
+}
+
+async function analyzeModule(mod) {
+    const source = mod.source ?? mod.code;
+    const { ast, offset } = parseModule(source, mod.path);
+
+    const info = {
+        mod,
+        source,
+        format: getModuleFormat(ast),
+        packageSideEffects: await getPackageSideEffects(mod.path),
+        statements: [],
+        imports: new Map(),     // локальное имя -> { source, imported }
+        exports: new Map(),     // экспортируемое имя -> { local } | { source, imported }
+        stars: [],              // export * from source
+        declaredBy: new Map()   // имя верхнего уровня -> индексы объявляющих инструкций
+    };
+
+    if (info.format === 'cjs') return info;
+
+    const locator = createLocator(source, offset);
+
+    for (const [index, item] of ast.body.entries()) {
+        const statement = {
+            node: item,
+            start: locator.index(item.span.start),
+            end: locator.index(item.span.end),
+            structural: STRUCTURAL_STATEMENTS.has(item.type),
+            pure: isPureStatement(item),
+            references: new Set()
+        };
+        info.statements.push(statement);
+
+        if (!statement.structural) {
+            walk(item, (node) => {
+                if (node.type === 'Identifier' && node.ctxt === TOP_LEVEL_CTXT) {
+                    statement.references.add(node.value);
+                }
+            });
+
+            for (const name of getDeclaredNames(item)) {
+                if (!info.declaredBy.has(name)) info.declaredBy.set(name, []);
+                info.declaredBy.get(name).push(index);
+            }
+        }
+
+        switch (item.type) {
+            case 'ImportDeclaration':
+                if (item.typeOnly) break;
+                for (const spec of item.specifiers) {
+                    if (spec.isTypeOnly) continue;
+                    const imported = spec.type === 'ImportDefaultSpecifier' ? 'default'
+                        : spec.type === 'ImportNamespaceSpecifier' ? '*'
+                            : (spec.imported || spec.local).value;
+                    info.imports.set(spec.local.value, { source: item.source.value, imported });
+                }
+                break;
+
+            case 'ExportNamedDeclaration':
+                if (item.typeOnly) break;
+                for (const spec of item.specifiers) {
+                    if (spec.isTypeOnly) continue;
+                    if (spec.type === 'ExportNamespaceSpecifier') {
+                        info.exports.set(spec.name.value, { source: item.source.value, imported: '*' });
+                    } else if (spec.type === 'ExportDefaultSpecifier') {
+                        info.exports.set(spec.exported.value, { source: item.source.value, imported: 'default' });
+                    } else {
+                        const exported = (spec.exported || spec.orig).value;
+                        info.exports.set(exported, item.source
+                            ? { source: item.source.value, imported: spec.orig.value }
+                            : { local: spec.orig.value });
+                    }
+                }
+                break;
+
+            case 'ExportAllDeclaration':
+                if (!item.typeOnly) info.stars.push(item.source.value);
+                break;
+
+            case 'ExportDeclaration':
+                for (const name of getDeclaredNames(item.declaration)) {
+                    info.exports.set(name, { local: name });
+                }
+                break;
+
+            case 'ExportDefaultDeclaration':
+                info.exports.set('default', { local: item.decl.identifier?.value || '*default*' });
+                break;
+
+            case 'ExportDefaultExpression':
+                info.exports.set('default', { local: '*default*' });
+                break;
+        }
+    }
+
+    return info;
+}
+
+function getDeclaredNames(node) {
+    switch (node.type) {
+        case 'VariableDeclaration':
+            return node.declarations.flatMap(declarator => getPatternNames(declarator.id));
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+            return [node.identifier.value];
+        case 'TsInterfaceDeclaration':
+        case 'TsTypeAliasDeclaration':
+        case 'TsEnumDeclaration':
+            return [node.id.value];
+        case 'ExportDeclaration':
+            return getDeclaredNames(node.declaration);
+        case 'ExportDefaultDeclaration':
+            return node.decl.identifier ? [node.decl.identifier.value, '*default*'] : ['*default*'];
+        case 'ExportDefaultExpression':
+            return ['*default*'];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Может ли выполнение инструкции верхнего уровня иметь наблюдаемый эффект
+ * (вызовы, присваивания, обращения к свойствам и т.п. считаются эффектами)
+ */
+
+function isPureStatement(node) {
+    switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportNamedDeclaration':
+        case 'ExportAllDeclaration':
+        case 'FunctionDeclaration':
+        case 'TsInterfaceDeclaration':
+        case 'TsTypeAliasDeclaration':
+        case 'TsEnumDeclaration':
+        case 'EmptyStatement':
+            return true;
+        case 'ClassDeclaration':
+            return isPureClass(node);
+        case 'VariableDeclaration':
+            return node.declarations.every(declarator =>
+                declarator.id.type === 'Identifier' && isPureExpression(declarator.init)
+            );
+        case 'ExportDeclaration':
+            return isPureStatement(node.declaration);
+        case 'ExportDefaultDeclaration':
+            return node.decl.type !== 'ClassExpression' || isPureClass(node.decl);
+        case 'ExportDefaultExpression':
+            return isPureExpression(node.expression);
+        default:
+            return false;
+    }
+}
+
+function isPureExpression(node) {
+    if (!node) return true;
+
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+        case 'NullLiteral':
+        case 'BigIntLiteral':
+        case 'RegExpLiteral':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'MetaProperty':
+            return true;
+        case 'Identifier':
+            return node.ctxt !== UNRESOLVED_CTXT || PURE_GLOBALS.has(node.value);
+        case 'ClassExpression':
+            return isPureClass(node);
+        case 'TemplateLiteral':
+            return node.expressions.every(isPureExpression);
+        case 'ArrayExpression':
+            return node.elements.every(element => !element || (!element.spread && isPureExpression(element.expression)));
+        case 'ObjectExpression':
+            return node.properties.every(isPureProperty);
+        case 'UnaryExpression':
+            if (node.operator === 'delete') return false;
+            // typeof не выбрасывает исключение даже для необъявленных имён
+            return node.operator === 'typeof' && node.argument.type === 'Identifier' || isPureExpression(node.argument);
+        case 'BinaryExpression':
+            return isPureExpression(node.left) && isPureExpression(node.right);
+        case 'ConditionalExpression':
+            return isPureExpression(node.test) && isPureExpression(node.consequent) && isPureExpression(node.alternate);
+        case 'SequenceExpression':
+            return node.expressions.every(isPureExpression);
+        case 'ParenthesisExpression':
+        case 'TsAsExpression':
+        case 'TsSatisfiesExpression':
+        case 'TsNonNullExpression':
+        case 'TsConstAssertion':
+        case 'TsTypeAssertion':
+            return isPureExpression(node.expression);
+        default:
+            return false;
+    }
+}
+
+function isPureProperty(prop) {
+    switch (prop.type) {
+        case 'Identifier':
+            return true;
+        case 'KeyValueProperty':
+            return isPureKey(prop.key) && isPureExpression(prop.value);
+        case 'MethodProperty':
+        case 'GetterProperty':
+        case 'SetterProperty':
+            return isPureKey(prop.key);
+        default:
+            return false;
+    }
+}
+
+function isPureKey(key) {
+    return key.type !== 'Computed' || isPureExpression(key.expression);
+}
+
+function isPureClass(node) {
+    if (node.decorators?.length || (node.superClass && !isPureExpression(node.superClass))) return false;
+
+    return node.body.every(member => {
+        if (member.decorators?.length || member.type === 'StaticBlock') return false;
+        if (member.key && !isPureKey(member.key)) return false;
+        return !member.isStatic || !('value' in member) || isPureExpression(member.value);
+    });
+}
+
+async function getPackageSideEffects(filePath) {
+    const found = await findPackageJson(filePath);
+    const sideEffects = found?.pkg.sideEffects;
+
+    if (sideEffects === false) return false;
+    if (!Array.isArray(sideEffects)) return true;
+
+    const relativePath = path.relative(found.dir, filePath).replace(/\\/g, '/');
+    return sideEffects.some(pattern => minimatch(relativePath, pattern.replace(/^\.\//, ''), {
+        matchBase: !pattern.includes('/'),
+        dot: true
+    }));
+}
+
+class TreeShaker {
+    #modules;
+    #included = new Set();
+    #sideEffects = new Map();
+
+    // Путь модуля -> состояние: живые инструкции, используемые импорты и экспорты
+    #state = new Map();
+
+    constructor(modules) {
+        this.#modules = modules;
+    }
+
+    isIncluded(modulePath) {
+        return this.#included.has(modulePath);
+    }
+
+    // Остаётся ли в модуле зависимость по спецификатору (внешние остаются всегда)
+    isKept(info, specifier) {
+        const target = this.#resolve(info, specifier);
+        return !target || this.#included.has(target);
+    }
+
+    #resolve(info, specifier) {
+        const resolvedPath = info.mod.resolved?.[specifier];
+        return resolvedPath && this.#modules.has(resolvedPath) ? resolvedPath : null;
+    }
+
+    #getState(modulePath) {
+        if (!this.#state.has(modulePath)) {
+            this.#state.set(modulePath, {
+                live: new Set(),
+                usedLocals: new Set(),
+                usedExports: new Set(),
+                usedAll: false
+            });
+        }
+        return this.#state.get(modulePath);
+    }
+
+    #includeModule(modulePath) {
+        if (this.#included.has(modulePath)) return;
+        this.#included.add(modulePath);
+
+        const info = this.#modules.get(modulePath);
+        for (const record of info.mod.imports || []) {
+            const target = this.#resolve(info, record.specifier);
+            if (!target) continue;
+
+            // Цели import() и require() используются целиком
+            if (info.format === 'cjs' || record.kind === 'dynamic-import' || record.kind === 'require') {
+                this.useAll(target);
+            } else if (this.#hasSideEffects(target)) {
+                this.#includeModule(target);
+            }
+        }
+
+        if (info.format === 'cjs') return;
+
+        for (const [index, statement] of info.statements.entries()) {
+            if (!statement.structural && !statement.pure) this.#markStatement(info, index);
+        }
+    }
+
+    #hasSideEffects(modulePath, stack = new Set()) {
+        if (this.#sideEffects.has(modulePath)) return this.#sideEffects.get(modulePath);
+        if (stack.has(modulePath)) return false;
+        stack.add(modulePath);
+
+        const info = this.#modules.get(modulePath);
+        let result = info.packageSideEffects && (
+            info.format === 'cjs' ||
+            // Стили применяются самим фактом импорта
+            info.mod.css !== undefined ||
+            info.statements.some(statement => !statement.structural && !statement.pure) ||
+            (info.mod.imports || []).some(record => {
+                const target = this.#resolve(info, record.specifier);
+                // Импорт без привязок из внешнего модуля нужен ради его эффектов
+                if (!target) return record.kind === 'import' && !record.names?.length;
+                return record.kind !== 'dynamic-import' && this.#hasSideEffects(target, stack);
+            })
+        );
+
+        stack.delete(modulePath);
+        if (stack.size === 0 || result) this.#sideEffects.set(modulePath, result);
+        return result;
+    }
+
+    #markStatement(info, index) {
+        const state = this.#getState(info.mod.path);
+        if (state.live.has(index)) return;
+        state.live.add(index);
+
+        for (const name of info.statements[index].references) {
+            this.#markName(info, name);
+        }
+    }
+
+    #markName(info, name) {
+        if (info.imports.has(name)) {
+            const state = this.#getState(info.mod.path);
+            if (state.usedLocals.has(name)) return;
+            state.usedLocals.add(name);
+
+            const { source, imported } = info.imports.get(name);
+            this.#useReexport(info, source, imported);
+            return;
+        }
+
+        for (const index of info.declaredBy.get(name) || []) {
+            this.#markStatement(info, index);
+        }
+    }
+
+    #useReexport(info, source, imported) {
+        const target = this.#resolve(info, source);
+        if (!target) return;
+
+        if (imported === '*') this.useAll(target);
+        else this.#useExport(target, imported);
+    }
+
+    #useExport(modulePath, name) {
+        this.#includeModule(modulePath);
+
+        const info = this.#modules.get(modulePath);
+        const state = this.#getState(modulePath);
+        if (info.format === 'cjs' || state.usedExports.has(name)) return;
+        state.usedExports.add(name);
+
+        const entry = info.exports.get(name);
+        if (entry) {
+            if (entry.local) this.#markName(info, entry.local);
+            else this.#useReexport(info, entry.source, entry.imported);
+            return;
+        }
+
+        if (name === 'default') return;
+        for (const source of info.stars) {
+            const target = this.#resolve(info, source);
+            if (target && this.#getExportNames(target).includes(name)) {
+                this.#useExport(target, name);
+            }
+        }
+    }
+
+    /**
+     * Помечает модуль и все его экспорты используемыми (entry-точки, import(), пространства имён)
+     * @param {string} modulePath - Путь модуля
+     */
+
+    useAll(modulePath) {
+        this.#includeModule(modulePath);
+
+        const state = this.#getState(modulePath);
+        if (state.usedAll) return;
+        state.usedAll = true;
+
+        for (const name of this.#getExportNames(modulePath)) {
+            this.#useExport(modulePath, name);
+        }
+    }
+
+    #getExportNames(modulePath, visited = new Set()) {
+        const info = this.#modules.get(modulePath);
+        if (visited.has(modulePath) || info.format === 'cjs') return [];
+        visited.add(modulePath);
+
+        const names = new Set(info.exports.keys());
+        for (const source of info.stars) {
+            const target = this.#resolve(info, source);
+            if (!target) continue;
+            for (const name of this.#getExportNames(target, visited)) {
+                if (name !== 'default') names.add(name);
+            }
+        }
+        return [...names];
+    }
+
+    /**
+     * Собирает исходник модуля без мёртвых инструкций. Удалённый код заменяется
+     * переводами строк, чтобы позиции оставшегося кода и sourcemap не сдвигались
+     * @param {Object} info - Разобранный модуль
+     * @returns {string}
+     */
+
+    render(info) {
+        const state = this.#getState(info.mod.path);
+        const edits = [];
+        const blank = (statement) => info.source.slice(statement.start, statement.end).replace(/[^\n]/g, '');
+
+        for (const [index, statement] of info.statements.entries()) {
+            const { node } = statement;
+            let text = null;
+
+            if (!statement.structural) {
+                if (!state.live.has(index)) text = blank(statement);
+            } else if (node.typeOnly || node.with) {
+                continue;
+            } else if (!this.isKept(info, node.source?.value)) {
+                text = blank(statement);
+            } else if (node.type === 'ImportDeclaration') {
+                const kept = node.specifiers.filter(spec => state.usedLocals.has(spec.local.value));
+                if (kept.length !== node.specifiers.length) text = renderImport(node, kept);
+            } else if (node.type === 'ExportNamedDeclaration') {
+                const kept = node.specifiers.filter(spec =>
+                    state.usedExports.has((spec.name || spec.exported || spec.orig).value)
+                );
+                if (kept.length !== node.specifiers.length) {
+                    text = kept.length || !node.source
+                        ? renderExport(node, kept)
+                        : `import ${JSON.stringify(node.source.value)};`;
+                }
+            }
+
+            if (text !== null) edits.push({ start: statement.start, end: statement.end, text });
+        }
+
+        let result = '';
+        let lastIndex = 0;
+        for (const edit of edits) {
+            result += info.source.slice(lastIndex, edit.start) + edit.text;
+            lastIndex = edit.end;
+        }
+        return result + info.source.slice(lastIndex);
+    }
+}
+
+function renderName(node) {
+    return node.type === 'StringLiteral' ? JSON.stringify(node.value) : node.value;
+}
+
+function renderImport(node, specifiers) {
+    const source = JSON.stringify(node.source.value);
+    if (!specifiers.length) return `import ${source};`;
+
+    const parts = [];
+    const named = [];
+    for (const spec of specifiers) {
+        if (spec.type === 'ImportDefaultSpecifier') parts.push(spec.local.value);
+        else if (spec.type === 'ImportNamespaceSpecifier') parts.push(`* as ${spec.local.value}`);
+        else named.push(spec.imported ? `${renderName(spec.imported)} as ${spec.local.value}` : spec.local.value);
+    }
+    if (named.length) parts.push(`{ ${named.join(', ')} }`);
+
+    return `import ${parts.join(', ')} from ${source};`;
+}
+
+function renderExport(node, specifiers) {
+    const from = node.source ? ` from ${JSON.stringify(node.source.value)}` : '';
+    if (!specifiers.length) return '';
+
+    const namespace = specifiers.find(spec => spec.type === 'ExportNamespaceSpecifier');
+    const named = specifiers
+        .filter(spec => spec !== namespace)
+        .map(spec => spec.exported ? `${renderName(spec.orig)} as ${renderName(spec.exported)}` : renderName(spec.orig));
+
+    const statements = [];
+    if (namespace) statements.push(`export * as ${renderName(namespace.name)}${from};`);
+    if (named.length) statements.push(`export { ${named.join(', ')} }${from};`);
+    return statements.join(' ');
+}
@@ -0,0 +1,201 @@
+/**
+ * Собирает код бандла из фрагментов вместе с общей sourcemap: отображения
+ * каждого модуля сдвигаются на позицию, с которой его код попал в бандл
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_INDEX = new Map([...BASE64].map((char, index) => [char, index]));
+
+export default class SourceMapBuilder {
+    #code = '';
+    #line = 0;
+    #column = 0;
+
+    #sources = [];
+    #sourcesContent = [];
+    #names = [];
+    #lines = [];    // строка бандла -> сегменты [колонка, источник, строка, колонка, имя?]
+
+    get code() {
+        return this.#code;
+    }
+
+    /**
+     * Добавляет код без отображений (рантайм, обёртки)
+     * @param {string} code - Код
+     */
+
+    append(code) {
+        this.#code += code;
+
+        const lastNewline = code.lastIndexOf('\n');
+        if (lastNewline === -1) {
+            this.#column += code.length;
+        } else {
+            this.#line += code.split('\n').length - 1;
+            this.#column = code.length - lastNewline - 1;
+        }
+    }
+
+    /**
+     * Добавляет код модуля вместе с его sourcemap
+     * @param {string} code - Код
+     * @param {Object|string|null} map - Sourcemap этого кода
+     * @param {Object} [options] - Смещения
+     * @param {number} [options.lineOffset=0] - Сдвиг строк (отрицательный, если начало кода обрезано)
+     * @param {number} [options.columnOffset=0] - Отступ, добавленный к каждой строке
+     */
+
+    appendMapped(code, map, { lineOffset = 0, columnOffset = 0 } = {}) {
+        if (map) {
+            this.#addMappings(typeof map === 'string' ? JSON.parse(map) : map, lineOffset, columnOffset);
+        }
+        this.append(code);
+    }
+
+    #addMappings(map, lineOffset, columnOffset) {
+        const sourceIndexes = (map.sources || []).map((source, index) =>
+            this.#addSource(source, map.sourcesContent?.[index] ?? null)
+        );
+        const nameIndexes = (map.names || []).map(name => this.#addName(name));
+
+        decodeMappings(map.mappings).forEach((segments, line) => {
+            const targetLine = line + lineOffset;
+            if (targetLine < 0 || !segments.length) return;
+
+            const generatedLine = this.#line + targetLine;
+            const startColumn = (targetLine === 0 ? this.#column : 0) + columnOffset;
+            this.#lines[generatedLine] = this.#lines[generatedLine] || [];
+
+            for (const segment of segments) {
+                if (segment.length < 4) continue;
+                const mapped = [segment[0] + startColumn, sourceIndexes[segment[1]], segment[2], segment[3]];
+                if (segment.length === 5) mapped.push(nameIndexes[segment[4]]);
+                this.#lines[generatedLine].push(mapped);
+            }
+        });
+    }
+
+    #addSource(source, content) {
+        let index = this.#sources.indexOf(source);
+        if (index === -1) {
+            index = this.#sources.push(source) - 1;
+            this.#sourcesContent[index] = content;
+        } else if (this.#sourcesContent[index] === null) {
+            this.#sourcesContent[index] = content;
+        }
+        return index;
+    }
+
+    #addName(name) {
+        const index = this.#names.indexOf(name);
+        return index === -1 ? this.#names.push(name) - 1 : index;
+    }
+
+    /**
+     * @returns {Object|null} Sourcemap v3 или null, если ни у одного фрагмента не было карты
+     */
+
+    toJSON() {
+        if (!this.#sources.length) return null;
+
+        const lines = [];
+        for (let line = 0; line <= this.#line; line++) {
+            lines.push((this.#lines[line] || []).sort((a, b) => a[0] - b[0]));
+        }
+
+        return {
+            version: 3,
+            sources: [...this.#sources],
+            sourcesContent: [...this.#sourcesContent],
+            names: [...this.#names],
+            mappings: encodeMappings(lines)
+        };
+    }
+}
+
+/**
+ * Декодирует поле mappings в абсолютные сегменты по строкам
+ * @param {string} mappings - VLQ-строка
+ * @returns {number[][][]} Строки -> сегменты [колонка, источник, строка, колонка, имя?]
+ */
+
+export function decodeMappings(mappings) {
+    const lines = [];
+    const state = [0, 0, 0, 0, 0];
+
+    for (const line of mappings.split(';')) {
+        const segments = [];
+        state[0] = 0;
+
+        for (const encoded of line.split(',')) {
+            if (!encoded) continue;
+            const values = decodeVLQ(encoded);
+            const segment = [];
+
+            for (let i = 0; i < values.length; i++) {
+                state[i] += values[i];
+                segment.push(state[i]);
+            }
+            segments.push(segment);
+        }
+
+        lines.push(segments);
+    }
+
+    return lines;
+}
+
+/**
+ * Кодирует сегменты по строкам в поле mappings
+ * @param {number[][][]} lines - Строки -> абсолютные сегменты
+ * @returns {string}
+ */
+
+export function encodeMappings(lines) {
+    const state = [0, 0, 0, 0, 0];
+
+    return lines.map(segments => {
+        state[0] = 0;
+        return segments.map(segment => segment.map((value, i) => {
+            const delta = value - state[i];
+            state[i] = value;
+            return encodeVLQ(delta);
+        }).join('')).join(',');
+    }).join(';');
+}
+
+function decodeVLQ(encoded) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of encoded) {
+        const digit = BASE64_INDEX.get(char);
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+function encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let result = '';
+
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        result += BASE64[digit];
+    } while (vlq > 0);
+
+    return result;
+}
@@ -0,0 +1,119 @@
+/**
+ * Компилирует стили, импортированные из JS: Sass и Less - своими компиляторами,
+ * @import обычного CSS встраивается в место импорта
+ * @param {string} filePath - Путь к файлу стилей
+ * @param {string} source - Содержимое файла
+ * @param {Object[]} [aliases] - Псевдонимы из normalizeAlias() для @import/@use
+ * @returns {Promise<{css: string, dependencies: string[]}>} CSS и файлы, подключённые через @import/@use
+ * @throws {Error} Если препроцессор сообщил об ошибке
+ */
+
+import path from "node:path";
+import { pathToFileURL, fileURLToPath } from "node:url";
+import { transform as lightningcss } from "lightningcss";
+import { resolveImports } from "../../plugins/css-import-resolver.js";
+import { applyAlias } from "./alias-script.js";
+import { generateHashedFileName } from "../../utils/hash-utils.js";
+import { toDisplayPath } from "./utils-script.js";
+
+export default async function compileStyle(filePath, source, aliases = []) {
+    const dir = path.dirname(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+
+    switch (ext) {
+        case '.scss':
+        case '.sass': {
+            const sass = await import('sass');
+            const result = sass.compileString(source, {
+                url: pathToFileURL(filePath),
+                syntax: ext === '.sass' ? 'indented' : 'scss',
+                loadPaths: [dir, 'node_modules'],
+                style: 'expanded',
+                quietDeps: true,
+                // Sass обращается к импортёру, только если путь не найден относительно файла
+                importers: [{
+                    findFileUrl(url) {
+                        const [target] = applyAlias(aliases, url);
+                        return target ? pathToFileURL(target) : null;
+                    }
+                }]
+            });
+            const dependencies = result.loadedUrls
+                .filter(url => url.protocol === 'file:')
+                .map(url => fileURLToPath(url))
+                .filter(file => file !== filePath);
+            return { css: result.css, dependencies };
+        }
+
+        case '.less': {
+            const { default: less } = await import('less');
+            const result = await less.render(source, {
+                filename: filePath,
+                paths: [dir, 'node_modules'],
+                plugins: [createLessAliasPlugin(aliases)]
+            });
+            return { css: result.css, dependencies: result.imports };
+        }
+
+        default: {
+            const dependencies = [];
+            const css = await resolveImports(source, dir, dependencies, aliases);
+            return { css, dependencies };
+        }
+    }
+}
+
+// Менеджер файлов Less, подставляющий псевдонимы в пути @import
+function createLessAliasPlugin(aliases) {
+    return {
+        install(less, pluginManager) {
+            class AliasFileManager extends less.FileManager {
+                supports(filename) {
+                    return applyAlias(aliases, filename).length > 0;
+                }
+
+                loadFile(filename, currentDirectory, options, environment) {
+                    const [target] = applyAlias(aliases, filename);
+                    return super.loadFile(target, currentDirectory, options, environment);
+                }
+            }
+            pluginManager.addFileManager(new AliasFileManager());
+        }
+    };
+}
+
+/**
+ * Собирает CSS каждого чанка из стилей его модулей в порядке выполнения
+ * @param {Object[]} chunks - Чанки из buildChunks
+ * @param {Object} config - Конфигурация сборки (minify сжимает CSS)
+ * @returns {Map<Object, {name: string, fileName: string, code: string}>} Чанк -> файл стилей;
+ *          чанки без стилей в карту не попадают
+ */
+
+export function renderChunkStyles(chunks, config) {
+    const styles = new Map();
+
+    for (const chunk of chunks) {
+        const parts = chunk.modules
+            .filter(mod => mod.css !== undefined)
+            .map(mod => `/* ${toDisplayPath(mod.path)} */\n${mod.css.trim()}\n`);
+        if (!parts.length) continue;
+
+        let code = parts.join('\n');
+        if (config.minify) {
+            code = lightningcss({
+                filename: `${chunk.name}.css`,
+                code: Buffer.from(code),
+                minify: true
+            }).code.toString();
+        }
+
+        styles.set(chunk, {
+            name: chunk.name,
+            fileName: generateHashedFileName(`${chunk.name}.css`, code),
+            code
+        });
+    }
+
+    return styles;
+}
@@ -0,0 +1,61 @@
+/**
+ * Транспилирует исходник модуля в CommonJS для рантайма IIFE-бандла
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к файлу
+ * @param {string} code - Исходный код
+ * @param {Object[]} imports - Импорты модуля из parseImports
+ * @returns {Promise<{code: string, map: string}>}
+ */
+
+import { transform } from "@swc/core";
+import parseImports from "./imports-script.js";
+import { getParserOptions } from "./ast-script.js";
+import { replaceImportMetaUrl } from "./worker-script.js";
+
+export default async function transformModule(config, filePath, code, imports) {
+    // URL бандла даёт рантайм через require.meta: в скрипте нет import.meta
+    const result = await transform(replaceImportMetaUrl(filePath, code, 'require.meta.url'), {
+        filename: filePath,
+        // Файлы без import/export разбираются как скрипты: CommonJS-код не получает
+        // "use strict", а this верхнего уровня остаётся равным module.exports
+        isModule: 'unknown',
+        // Карта нужна отдельно от кода: генератор бандла собирает из карт модулей общую
+        sourceMaps: !!config.sourcemaps,
+        jsc: {
+            parser: getParserOptions(filePath),
+            target: config.target,
+            transform: {
+                optimizer: {
+                    simplify: true
+                }
+            }
+        },
+        module: {
+            type: 'commonjs',
+            // import() остаётся в коде и заменяется на загрузчик чанков рантайма
+            ignoreDynamic: true
+        },
+        minify: config.minify
+    });
+
+    return {
+        code: imports.some(record => record.kind === 'dynamic-import')
+            ? await rewriteDynamicImports(result.code)
+            : result.code,
+        map: result.map
+    };
+}
+
+async function rewriteDynamicImports(code) {
+    const records = await parseImports(code);
+    let result = '';
+    let lastIndex = 0;
+
+    for (const record of records) {
+        if (record.kind !== 'dynamic-import') continue;
+        result += code.slice(lastIndex, record.callee.start) + 'require.import';
+        lastIndex = record.callee.end;
+    }
+
+    return result + code.slice(lastIndex);
+}
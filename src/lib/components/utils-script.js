@@ -1,16 +1,22 @@
 /**
  * Проверяет, является ли модуль внешней зависимостью
  * @param {string} config - Конфигурация сборки
- * @param {string} filePath - Путь к файлу
+ * @param {string} specifier - Спецификатор импорта
  * @returns {boolean} Является ли внешней зависимостью
  */
 
 
 import path from "node:path";
+import { isBareSpecifier, isBuiltinModule, parsePackageSpecifier, isVirtualModule } from "./module-script.js";
 
-export default function isExternalDependency(config, filePath) {
-    const packageName = getPackageNameFromPath(filePath);
-    return config.external.includes(packageName);
+export default function isExternalDependency(config, specifier) {
+    if (!isBareSpecifier(specifier) || specifier.startsWith('#')) return false;
+
+    // Встроенные модули Node.js не бандлятся для платформы node
+    if (config.platform === 'node' && isBuiltinModule(specifier)) return true;
+
+    const { name } = parsePackageSpecifier(specifier);
+    return config.external.includes(name) || config.external.includes(specifier);
 }
 
 /**
@@ -34,12 +40,29 @@ export function getPackageNameFromPath(filePath) {
 
 
 export function normalizeModuleId(filePath, baseDir) {
-    const relativePath = path.relative(baseDir, filePath)
-        .replace(/\\/g, '/')
-        .replace(/\.(js|ts)x?$/, '');
+    // Id виртуального модуля плагина без './': он не совпадёт с id файла
+    if (isVirtualModule(filePath)) return toDisplayPath(filePath, baseDir);
+
+    const relativePath = toDisplayPath(filePath, baseDir).replace(/\.(js|ts)x?$/, '');
     return `./${relativePath}`;
 }
 
+/**
+ * Путь модуля для кода бандла, комментариев и карт кода
+ * @param {string} filePath - Абсолютный путь или id виртуального модуля ('\0virtual:msg')
+ * @param {string} [baseDir] - Каталог, от которого отсчитывается путь
+ * @returns {string} Путь от baseDir с прямыми слешами; у виртуального модуля - id без '\0',
+ *          чтобы в файлы сборки не попадал нулевой байт (путь файла в id тоже относительный)
+ */
+
+export function toDisplayPath(filePath, baseDir = process.cwd()) {
+    if (isVirtualModule(filePath)) {
+        const id = filePath.replace(/\0/g, '');
+        return path.isAbsolute(id) ? toDisplayPath(id, baseDir) : id;
+    }
+    return path.relative(baseDir, filePath).replace(/\\/g, '/');
+}
+
 export const catchError = (success, error, config, outputFile) => {
     return {
         success: success,
@@ -0,0 +1,133 @@
+/**
+ * Находит в модуле new Worker(new URL('./worker.js', import.meta.url)) и SharedWorker с тем же
+ * аргументом. Файл воркера не становится зависимостью модуля: он собирается отдельной
+ * entry-точкой, а строка пути заменяется плейсхолдером, который Build меняет на URL бандла воркера
+ * @param {Object} config - Конфигурация сборки
+ * @param {string} filePath - Путь к файлу
+ * @param {string} code - Исходный код
+ * @returns {Promise<{code: string, workers: {path: string, type: string}[]}>} Код с плейсхолдерами
+ *          и воркеры; type - 'module' для { type: 'module' }, иначе 'classic'
+ * @throws {Error} Если файл воркера не найден
+ */
+
+import path from "node:path";
+import { parseModule, walk, createLocator, UNRESOLVED_CTXT } from "./ast-script.js";
+import { applyEdits } from "./link-script.js";
+import resolvePath, { getModuleDir } from "./module-script.js";
+import { hashContent } from "./hash-script.js";
+
+const WORKER_CONSTRUCTORS = ['Worker', 'SharedWorker'];
+
+export default async function findWorkers(config, filePath, code) {
+    // Быстрая проверка без разбора
+    if (!code.includes('Worker') || !code.includes('import.meta')) return { code, workers: [] };
+
+    const { ast, offset } = parseModule(code, filePath);
+    const locator = createLocator(code, offset);
+    const found = [];
+
+    walk(ast, (node) => {
+        if (node.type !== 'NewExpression' || !isGlobal(node.callee, WORKER_CONSTRUCTORS)) return;
+
+        const [url, options] = node.arguments || [];
+        const literal = getWorkerUrl(url?.expression);
+        if (literal) found.push({ literal, type: getWorkerType(options?.expression) });
+    });
+
+    if (!found.length) return { code, workers: [] };
+
+    const workers = [];
+    const edits = [];
+    for (const { literal, type } of found) {
+        const start = locator.index(literal.span.start);
+        let workerPath;
+        try {
+            workerPath = await resolvePath(getModuleDir(filePath), literal.value, {
+                platform: config.platform,
+                conditions: config.conditions,
+                mainFields: config.mainFields,
+                alias: config.alias,
+                baseUrl: config.baseUrl
+            });
+        } catch (error) {
+            const { line, column } = locator.location(start);
+            throw new Error(`Failed to resolve worker ${literal.value} from ${filePath}:${line}:${column}: ${error.message}`);
+        }
+
+        if (!workers.some(worker => worker.path === workerPath)) workers.push({ path: workerPath, type });
+        edits.push({
+            start,
+            end: locator.index(literal.span.end),
+            text: JSON.stringify(workerPlaceholder(workerPath))
+        });
+    }
+
+    return { code: applyEdits(code, edits), workers };
+}
+
+/**
+ * Строка, которой в коде модулей обозначен URL бандла воркера
+ * @param {string} workerPath - Абсолютный путь к файлу воркера
+ * @returns {string}
+ */
+
+export function workerPlaceholder(workerPath) {
+    return `__jolt_worker_${hashContent(workerPath).slice(0, 16)}__`;
+}
+
+/**
+ * Заменяет import.meta.url выражением окружения: в IIFE-бандле нет import.meta,
+ * его роль играет URL самого бандла из рантайма
+ * @param {string} filePath - Путь к файлу (для выбора синтаксиса)
+ * @param {string} code - Исходный код
+ * @param {string} replacement - Выражение вместо import.meta.url
+ * @returns {string} Код с заменами
+ */
+
+export function replaceImportMetaUrl(filePath, code, replacement) {
+    if (!code.includes('import.meta')) return code;
+
+    const { ast, offset } = parseModule(code, filePath);
+    const locator = createLocator(code, offset);
+    const edits = [];
+
+    walk(ast, (node) => {
+        if (!isImportMetaUrl(node)) return;
+        edits.push({ start: locator.index(node.span.start), end: locator.index(node.span.end), text: replacement });
+        return false;
+    });
+
+    return edits.length ? applyEdits(code, edits) : code;
+}
+
+// new URL('./worker.js', import.meta.url) -> строковый литерал пути
+function getWorkerUrl(node) {
+    if (node?.type !== 'NewExpression' || !isGlobal(node.callee, ['URL'])) return null;
+
+    const [url, base] = node.arguments || [];
+    if (node.arguments.length !== 2 || url.spread || !isImportMetaUrl(base.expression)) return null;
+    return url.expression.type === 'StringLiteral' ? url.expression : null;
+}
+
+// { type: 'module' } делает воркер модульным; без опций или с другим type он классический
+function getWorkerType(options) {
+    if (options?.type !== 'ObjectExpression') return 'classic';
+
+    const property = options.properties.find(prop =>
+        prop.type === 'KeyValueProperty' && prop.key.value === 'type'
+    );
+    return property?.value.type === 'StringLiteral' && property.value.value === 'module' ? 'module' : 'classic';
+}
+
+function isImportMetaUrl(node) {
+    return node?.type === 'MemberExpression' &&
+        node.object.type === 'MetaProperty' &&
+        node.object.kind === 'import.meta' &&
+        node.property.type === 'Identifier' &&
+        node.property.value === 'url';
+}
+
+// Глобальное имя, не перекрытое локальной переменной
+function isGlobal(node, names) {
+    return node.type === 'Identifier' && node.ctxt === UNRESOLVED_CTXT && names.includes(node.value);
+}
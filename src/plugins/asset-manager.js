@@ -34,7 +34,9 @@ export async function processAssets(config, cache, signal) {
             const ext = path.extname(file).toLowerCase();
             
             if (['.woff', '.woff2', '.ttf', '.eot', '.otf'].includes(ext)) {
-                await processFont(file, config);
+                // Шрифты не хешируются, путь в кеше нужен только для manifest.json
+                const outputPath = await processFont(file, config);
+                cache.assets.set(path.relative('src/assets', file).replace(/\\/g, '/'), { outputPath });
                 stats.fonts++;
             } else {
                 await processSingleAsset(config, cache, signal, file);
@@ -87,14 +89,7 @@ async function processSingleAsset(config, cache, signal, file) {
         const outputPath = path.join(outputDir, outputFile);
 
         await fs.mkdir(outputDir, { recursive: true });
-    
-        if (['.png', '.jpg', '.jpeg', '.webp', '.avif'].includes(ext)) {
-            await optimizeImage(content, ext, outputPath, config, signal);
-        } else if (ext === '.svg') {
-            await optimizeSvg(content, outputPath, signal);
-        } else {
-            await fs.writeFile(outputPath, content);
-        }
+        await writeAsset(config, content, ext, outputPath, signal);
     
         cache.assets.set(cacheKey, {
             mtime: currentMtime,
@@ -106,4 +101,24 @@ async function processSingleAsset(config, cache, signal, file) {
             throw error;
         }
     }
-}
\ No newline at end of file
+}
+
+
+
+/**
+ * Записывает файл ассета, оптимизируя растровые изображения и SVG
+ * @param {Object} config - Конфигурация (config.image - настройки оптимизации изображений)
+ * @param {Buffer} content - Содержимое файла
+ * @param {string} ext - Расширение в нижнем регистре
+ * @param {string} outputPath - Путь для сохранения
+ * @param {AbortSignal} [signal] - Сигнал прерывания
+ */
+export async function writeAsset(config, content, ext, outputPath, signal) {
+    if (['.png', '.jpg', '.jpeg', '.webp', '.avif'].includes(ext)) {
+        await optimizeImage(content, ext, outputPath, config, signal);
+    } else if (ext === '.svg') {
+        await optimizeSvg(content, outputPath, signal);
+    } else {
+        await fs.writeFile(outputPath, content);
+    }
+}
@@ -1,10 +1,11 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import { Logger } from '../core/Logger.js';
+import { applyAlias } from '../lib/components/alias-script.js';
 
 
 
-export async function resolveImports(cssContent, baseDir) {
+export async function resolveImports(cssContent, baseDir, files = [], aliases = []) {
     const importRegex = /@import\s+(?:url\()?["']([^"']+)["'](?:\))?[^;]*;/g;
     const imports = [...cssContent.matchAll(importRegex)].map(m => m[1]);
 
@@ -16,17 +17,20 @@ export async function resolveImports(cssContent, baseDir) {
                 try {
                     const modulePath = path.resolve('node_modules', importPath.slice(1));
                     const importedContent = await fs.readFile(modulePath, 'utf8');
-                    return await resolveImports(importedContent, path.dirname(modulePath));
+                    files.push(modulePath);
+                    return await resolveImports(importedContent, path.dirname(modulePath), files, aliases);
                 } catch {
                     Logger.warn(`Could not resolve @import "${importPath}"`);
                     return '';
                 }
             }
 
-        const fullPath = path.resolve(baseDir, importPath);
+            const [aliasedPath] = applyAlias(aliases, importPath);
+            const fullPath = path.resolve(baseDir, aliasedPath ?? importPath);
             try {
                 const importedContent = await fs.readFile(fullPath, 'utf8');
-                return await resolveImports(importedContent, path.dirname(fullPath));
+                files.push(fullPath);
+                return await resolveImports(importedContent, path.dirname(fullPath), files, aliases);
             } catch {
                 Logger.warn(`Could not resolve @import "${importPath}" in ${baseDir}`);
                 return '';
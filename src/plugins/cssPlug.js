@@ -27,13 +27,13 @@ export function cssPlug(userOptions = {}) {
     };
 
     const options = { ...defaults, ...userOptions };
-    let cache = { hash: '', files: new Set() };
+    let cache = { hash: '', files: new Set(), outputPath: null };
     let outputDirChecked = false;
 
     return {
         name: 'optimized-css-bundler',
 
-        async afterBuild() {
+        async afterBuild({ manifest } = {}) {
             const startTime = Date.now();
             try {
                 const outputDir = path.dirname(options.output.replace(/\[.*\]/, ''));
@@ -80,6 +80,8 @@ export function cssPlug(userOptions = {}) {
                 });
 
                 if (options.cache && contentHash === cache.hash) {
+                    // Манифест собирается заново при каждой сборке, поэтому бандл из кеша тоже попадает в него
+                    await manifest?.addFile('bundle.css', cache.outputPath);
                     logger.log('✅ CSS bundle is up to date (cached)');
                     return;
                 }
@@ -100,7 +102,8 @@ export function cssPlug(userOptions = {}) {
                     options.sourcemap && result.map && writeFile(`${outputPath}.map`, result.map.toString())
                 ]);
 
-                cache = { hash: contentHash, files: new Set(files.map(f => f.path)) };
+                cache = { hash: contentHash, files: new Set(files.map(f => f.path)), outputPath };
+                await manifest?.addFile('bundle.css', outputPath);
 
                 logger.success(`✅ CSS bundle created in ${Date.now() - startTime}ms: ${path.relative(process.cwd(), outputPath)}`);
 
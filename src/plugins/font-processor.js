@@ -5,6 +5,7 @@ import { Logger } from '../core/Logger.js';
  * Обрабатывает и копирует файлы шрифтов
  * @param {string} file - Путь к исходному файлу шрифта
  * @param {Object} config - Конфигурация обработки шрифтов
+ * @returns {Promise<string>} Путь к записанному файлу
  */
 
 
@@ -22,6 +23,8 @@ export async function processFont(file, config) {
     if (config.fonts.subset && ['.ttf', '.otf'].includes(path.extname(file))) {
         await subsetFont(file, outputPath);
     }
+
+    return outputPath;
 }
 
 /**
@@ -20,7 +20,7 @@ export async function processHtml(config, cache, isProduction, signal) { /// [*]
         htmlFiles.map(file => fs.readFile(file, 'utf8'))
     );
 
-    const [jsFiles, cssFiles] = await getAssets(config, signal);
+    const [jsFiles, cssFiles] = await getAssets(config, cache, signal);
 
     const { jsTags, cssTags } = prepareAssetTags(config, jsFiles, cssFiles);
 
@@ -42,18 +42,16 @@ export async function processHtml(config, cache, isProduction, signal) { /// [*]
     Logger.success(`Processed ${htmlFiles.length} HTML files`);
 }
 
-async function getAssets(config, signal) {
+async function getAssets(config, cache, signal) {
     try {
-        const [jsFiles, cssFiles] = await Promise.all([
-            globby(`${config.outDir}/**/*.js`, { 
-                signal,
-                ignore: [`${config.staticDir}/**`]
-            }),
-            globby(`${config.outDir}/**/*.css`, {
-                signal,
-                ignore: [`${config.staticDir}/**`]
-            })
-        ]);
+        // Только бандлы entry-точек из манифеста сборки и их CSS: чанки import() загружаются кодом
+        const records = [...cache.scripts.values()].flat();
+        const jsFiles = records.map(record => path.join(config.outDir, record.file));
+        // Из остальных CSS на страницу попадает только бандл стилей processStyles
+        const cssFiles = [
+            ...await globby(`${config.outDir}/styles-*.css`, { signal }),
+            ...new Set(records.flatMap(record => record.css || []).map(file => path.join(config.outDir, file)))
+        ];
         return [jsFiles, cssFiles];
     } catch (error) {
         Logger.debug('Assets discovery error:', error);
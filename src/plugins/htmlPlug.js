@@ -32,12 +32,11 @@ export function htmlPlug(options = {}) {
     };
 
     const finalOptions = { ...defaultOptions, ...options };
-    let assetsCache = null;
 
     return {
         name: 'optimized-html-plugin',
 
-        async afterBuild({ config }) {
+        async afterBuild({ config, manifest }) {
             const startTime = Date.now();
             const outputDir = config.outfile ? path.dirname(config.outfile) : config.outdir || 'dist';
             const srcDir = finalOptions.srcDir;
@@ -45,10 +44,8 @@ export function htmlPlug(options = {}) {
 
             logger.info(`Processing ${htmlFiles.length} HTML files`);
 
-            // Кэшируем ассеты один раз
-            if (!assetsCache && finalOptions.injectScripts) {
-                assetsCache = await this.fetchAssets('dist');
-            }
+            // Хеши бандлов меняются от сборки к сборке: список берётся заново
+            const assets = finalOptions.injectScripts ? await this.fetchAssets('dist', manifest) : null;
 
             // Обрабатываем файлы с ограничением параллелизма
             await this.processInBatches(htmlFiles, async (htmlFile) => {
@@ -64,10 +61,10 @@ export function htmlPlug(options = {}) {
                         content = this.cleanHtmlAssets(content);
                     }
 
-                    if (finalOptions.injectScripts && assetsCache) {
+                    if (finalOptions.injectScripts && assets) {
                         content = this.injectAssets(
                             content,
-                            assetsCache,
+                            assets,
                             finalOptions.scriptLoading
                         );
                     }
@@ -95,16 +92,22 @@ export function htmlPlug(options = {}) {
             logger.success(`HTML processing completed in ${Date.now() - startTime}ms`);
         },
 
-        async fetchAssets(dir) {
+        async fetchAssets(dir, manifest) {
             try {
-                const files = await glob(`${dir}/**/*.{js,css}`, {
+                // Из CSS каталога сборки на страницу попадает только бандл cssPlug
+                const files = await glob(`${dir}/bundle*.css`, {
                     nodir: true,
                     stats: true
                 });
+                // Только бандлы entry-точек из манифеста сборки и их CSS: чанки import() загружаются кодом
+                const entries = manifest ? manifest.getPageEntries() : [];
 
                 return {
-                    js: files.filter(file => file.path.endsWith('.js')).map(f => path.basename(f.path)),
-                    css: files.filter(file => file.path.endsWith('.css')).map(f => path.basename(f.path))
+                    js: entries,
+                    css: [
+                        ...files.map(f => path.basename(f.path)),
+                        ...new Set(entries.flatMap(entry => entry.css || []))
+                    ]
                 };
             } catch (error) {
                 logger.error('Error fetching assets:', error);
@@ -151,7 +154,7 @@ export function htmlPlug(options = {}) {
             // Оптимизированная вставка JS
             if (assets.js.length > 0) {
                 const jsTags = assets.js
-                    .map(jsFile => `<script src="${jsFile}" ${loading}></script>`)
+                    .map(({ file, format }) => `<script${format === 'esm' ? ' type="module"' : ''} src="${file}" ${loading}></script>`)
                     .join('\n  ');
 
                 if (result.includes(bodyEnd)) {
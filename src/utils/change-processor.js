@@ -13,7 +13,11 @@ export async function processChanges(config, cache, dependencies) { /// [*] ///
 
         const hasHTML = changedFiles.some(f => f.endsWith('.html'));
         const hasCSS = changedFiles.some(f => /\.(css|scss|sass|less)$/i.test(f));
-        const hasJS = changedFiles.some(f => /\.(js|jsx|ts|tsx)$/i.test(f));
+        // Пересборку JS запускают файлы сборки любого типа (стили и JSON из JS, ?raw, файлы загрузчиков),
+        // новые скрипты и файлы в каталогах import.meta.glob: они меняют состав модулей
+        const hasJS = changedFiles.some(f => /\.([mc]?[jt]s|[jt]sx)$/i.test(f) ||
+            dependencies.hasScriptFile?.(f) ||
+            config.scriptWatchDirs?.some(dir => f.startsWith(dir + path.sep)));
         const hasAssets = changedFiles.some(f => /\.(png|jpe?g|gif|svg|webp|avif|woff2?|ttf|eot)$/i.test(f));
         const hasStatic = changedFiles.some(f => 
             f.startsWith(config.staticDir) || 
@@ -24,6 +28,9 @@ export async function processChanges(config, cache, dependencies) { /// [*] ///
             cache.html.clear();
         }
 
+        // Сборщик JS запоминает все изменения: модулем может оказаться и не JS-файл
+        dependencies.invalidateScripts?.(changedFiles);
+
         const tasks = [];
         
         if (hasStatic) {
@@ -43,11 +50,17 @@ export async function processChanges(config, cache, dependencies) { /// [*] ///
             tasks.push(dependencies.processAssets());
         }
         
+        await Promise.all(tasks);
+
+        // HTML собирается последним, как и при первой сборке: в него вставляются теги готовых JS и CSS
         if (hasHTML || hasCSS || hasJS) {
-            tasks.push(dependencies.processHtml());
+            await dependencies.processHtml();
         }
 
-        await Promise.all(tasks);
+        // Хешированные имена могли измениться
+        if (config.manifest) {
+            await dependencies.writeManifest();
+        }
         Logger.success('✅ Rebuild completed');
     } catch (error) {
         Logger.error('Rebuild failed:', error);
@@ -34,6 +34,30 @@ export function generateHashedFileName(filePath, content, options = {}) {
     return `${base}.${hash}${ext}`;
 }
 
+/**
+ * Подставляет хеш контента в шаблон имени файла вместо [hash]
+ * @param {string} fileName - Имя файла, например `main.[hash].js`
+ * @param {string|Buffer} content - Контент файла
+ * @param {object} [options] - Настройки
+ * @returns {string} Имя с хешем; имя без [hash] не меняется
+ */
+
+export function applyContentHash(fileName, content, options = {}) {
+    if (!fileName.includes('[hash]')) return fileName;
+    return fileName.replace(/\[hash\]/g, generateContentHash(content, options));
+}
+
+/**
+ * Убирает [hash] из шаблона имени файла: под этим именем cleanOldHashes
+ * находит версии файла из прошлых сборок
+ * @param {string} fileName - Имя файла, например `main.[hash].js`
+ * @returns {string} Имя без хеша, например `main.js`
+ */
+
+export function removeHashPlaceholder(fileName) {
+    return fileName.replace(/\.?\[hash\]/g, '');
+}
+
 /**
  * Читает файл и возвращает хешированное имя
  * @param {string} filePath - Путь к файлу
@@ -52,16 +76,17 @@ export async function getFileHash(filePath, options = {}) {
  * @param {string} dir - Директория для поиска
  * @param {string} baseName - Базовое имя файла (без хеша)
  * @param {string} ext - Расширение файла
+ * @param {string[]} [keep] - Имена файлов, которые нужно оставить
  */
 
-export async function cleanOldHashes(dir, basename, ext) {
+export async function cleanOldHashes(dir, basename, ext, keep = []) {
     try {
         const files = await fs.readdir(dir);
         const pattern = new RegExp(`^${basename}\\.([a-f0-9]+)${ext}$`);
 
         await Promise.all(
             files.map(async file => {
-                if (pattern.test(file)) {
+                if (pattern.test(file) && !keep.includes(file)) {
                     await fs.unlink(path.join(dir, file)).catch(() => { });
                     // Удаляем связанный .map файл если есть
                     const mapFile = `${file}.map`;